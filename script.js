@@ -1,6 +1,6 @@
 
 document.addEventListener('DOMContentLoaded', () => {
-    // We need to wrap canvas-wrapper in a scroll area for proper centering + scrolling
+    // We need to wrap canvas-wrapper in a view area that clips it while it's zoomed, panned and rotated
     const workspace = document.querySelector('.workspace');
 
     // Create scroll area dynamically or just use workspace directly?
@@ -29,209 +29,1133 @@ document.addEventListener('DOMContentLoaded', () => {
     const sizeSlider = document.getElementById('size-slider');
     const sizeDisplay = document.getElementById('size-display');
     const brushShape = document.getElementById('brush-shape');
+    const fillToggle = document.getElementById('shape-fill-toggle');
+    const fillPicker = document.getElementById('fill-color-picker');
+    const strokeToggle = document.getElementById('shape-stroke-toggle');
+    const symmetryMode = document.getElementById('symmetry-mode');
+    const symmetryCount = document.getElementById('symmetry-count');
+    const symmetryCountDisplay = document.getElementById('symmetry-count-display');
+    const btnSymmetryCenter = document.getElementById('btn-symmetry-center');
+    const pressureSizeToggle = document.getElementById('pressure-size');
+    const pressureOpacityToggle = document.getElementById('pressure-opacity');
+    const pressureCurveSlider = document.getElementById('pressure-curve');
+    const pressureCurveDisplay = document.getElementById('pressure-curve-display');
+    const stabilizerSlider = document.getElementById('stabilizer-slider');
+    const stabilizerDisplay = document.getElementById('stabilizer-display');
+    const selectionShapeSelect = document.getElementById('selection-shape');
+    const btnFlipH = document.getElementById('btn-flip-h');
+    const btnFlipV = document.getElementById('btn-flip-v');
+    const btnSelectionDelete = document.getElementById('btn-selection-delete');
+    const btnSelectionCommit = document.getElementById('btn-selection-commit');
+    const bucketTolerance = document.getElementById('bucket-tolerance');
+    const bucketToleranceDisplay = document.getElementById('bucket-tolerance-display');
+    const bucketContiguous = document.getElementById('bucket-contiguous');
+    const bucketSample = document.getElementById('bucket-sample');
+    const pipetteReferences = document.getElementById('pipette-references');
+    const textFontSelect = document.getElementById('text-font');
+    const textFontUploads = document.getElementById('text-font-uploads');
+    const btnUploadFont = document.getElementById('btn-upload-font');
+    const fontInput = document.getElementById('font-input');
+    const textSizeInput = document.getElementById('text-size');
+    const textAlignSelect = document.getElementById('text-align');
+    const textStyleSelect = document.getElementById('text-style');
+    const textSettings = textFontSelect.closest('.property-item');
+    const textEditor = document.createElement('textarea');
+    const overlay = document.createElement('canvas');
+    const pixelGrid = document.createElement('div');
     const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
     const btnClear = document.getElementById('btn-clear');
     const btnGenerate = document.getElementById('btn-generate');
     const btnAddLayer = document.getElementById('btn-add-layer');
+    const btnDuplicateLayer = document.getElementById('btn-duplicate-layer');
+    const btnMergeDown = document.getElementById('btn-merge-down');
+    const btnImportImage = document.getElementById('btn-import-image');
+    const imageInput = document.getElementById('image-input');
+    const importModal = document.getElementById('import-modal');
+    const importFileName = document.getElementById('import-file-name');
+    const importPlacement = document.getElementById('import-placement');
+    const importReference = document.getElementById('import-reference');
+    const layerOpacity = document.getElementById('layer-opacity');
+    const layerOpacityDisplay = document.getElementById('layer-opacity-display');
+    const layerBlend = document.getElementById('layer-blend');
+    const bgColorPicker = document.getElementById('bg-color-picker');
+    const bgTransparent = document.getElementById('bg-transparent');
+    const framesList = document.getElementById('frames-list');
+    const btnAddFrame = document.getElementById('btn-add-frame');
+    const btnDuplicateFrame = document.getElementById('btn-duplicate-frame');
+    const btnDeleteFrame = document.getElementById('btn-delete-frame');
+    const btnPlay = document.getElementById('btn-play');
+    const frameFps = document.getElementById('frame-fps');
+    const onionSkinToggle = document.getElementById('onion-skin');
+    const onionCanvas = document.createElement('canvas');
+
+    const btnNew = document.getElementById('btn-new');
+    const btnCanvasSize = document.getElementById('btn-canvas-size');
+    const canvasSizeDisplay = document.getElementById('canvas-size-display');
+    const canvasModal = document.getElementById('canvas-modal');
+    const canvasModalTitle = document.getElementById('canvas-modal-title');
+    const canvasPreset = document.getElementById('canvas-preset');
+    const canvasWidthInput = document.getElementById('canvas-width');
+    const canvasHeightInput = document.getElementById('canvas-height');
+    const canvasResizeOptions = document.getElementById('canvas-resize-options');
+    const canvasResizeMode = document.getElementById('canvas-resize-mode');
+    const anchorGrid = canvasModal.querySelector('.anchor-grid');
+    const canvasPixelOptions = document.getElementById('canvas-pixel-options');
+    const canvasPixelArt = document.getElementById('canvas-pixel-art');
+    const canvasCellSize = document.getElementById('canvas-cell-size');
 
     const btnSave = document.getElementById('btn-save');
     const btnLoad = document.getElementById('btn-load');
     const fileInput = document.getElementById('file-input');
+    const btnProjects = document.getElementById('btn-projects');
+    const projectsModal = document.getElementById('projects-modal');
+    const projectsList = document.getElementById('projects-list');
+    const autosaveStatus = document.getElementById('autosave-status');
+    const restoreBanner = document.getElementById('restore-banner');
+    const restoreMessage = document.getElementById('restore-message');
+    const btnRestore = document.getElementById('btn-restore');
+    const btnImportCode = document.getElementById('btn-import-code');
+    const codeImportModal = document.getElementById('code-import-modal');
+    const codeImportInput = document.getElementById('code-import-input');
+    const codeImportWarnings = document.getElementById('code-import-warnings');
+    const codeImportStatus = document.getElementById('code-import-status');
 
     const btnZoomIn = document.getElementById('btn-zoom-in');
     const btnZoomOut = document.getElementById('btn-zoom-out');
     const btnZoomFit = document.getElementById('btn-zoom-fit');
     const zoomDisplay = document.getElementById('zoom-display');
+    const btnRotateLeft = document.getElementById('btn-rotate-left');
+    const btnRotateRight = document.getElementById('btn-rotate-right');
+    const btnRotateReset = document.getElementById('btn-rotate-reset');
+    const rotationDisplay = document.getElementById('rotation-display');
+    const navigatorCanvas = document.getElementById('navigator');
 
     // Modal
     const modal = document.getElementById('code-modal');
     const btnCloseModal = document.getElementById('btn-close-modal');
     const btnCopy = document.getElementById('btn-copy');
+    const btnDownloadProject = document.getElementById('btn-download-project');
+    const p5SourceInput = document.getElementById('p5-source');
+    const exportStyleToggle = document.getElementById('export-style');
     const codeOutput = document.getElementById('code-output');
+    const codeStats = document.getElementById('code-stats');
+    const codeFormat = document.getElementById('code-format');
+    const codeOutputStrategy = document.getElementById('code-output-strategy');
+    const codeMode = document.getElementById('code-mode');
+    const simplifySlider = document.getElementById('simplify-slider');
+    const simplifyDisplay = document.getElementById('simplify-display');
+    const colorCount = document.getElementById('color-count');
+    const colorCountNote = document.getElementById('color-count-note');
+    const codePerLayer = document.getElementById('code-per-layer');
+    const codeBuffers = document.getElementById('code-buffers');
+    const codeReferences = document.getElementById('code-references');
+    const quantizePreview = document.getElementById('quantize-preview');
+    const quantizeCanvas = document.getElementById('quantize-canvas');
+    const paletteSwatches = document.getElementById('palette-swatches');
+    const btnPreview = document.getElementById('btn-preview');
+    const previewPane = document.getElementById('preview-pane');
+    const previewCanvas = document.getElementById('preview-canvas');
+    const previewFrameBox = document.getElementById('preview-frame-box');
+    const previewDiff = document.getElementById('preview-diff');
+    const previewStats = document.getElementById('preview-stats');
 
     // State
     const CONFIG = {
         width: 540,
         height: 540,
-        bgColor: '#ffffff'
+        windowSized: false, // Emit createCanvas(windowWidth, windowHeight) instead of the fixed size
+        pixelSize: 0, // Pixel art: size of one grid cell in px, 0 = a normal document
+        bgColor: '#ffffff' // Hex colour, or 'transparent' (emitted as clear())
     };
 
     let state = {
         isDrawing: false,
-        currentTool: 'pen', // pen, eraser, pipette
+        currentTool: 'pen', // pen, eraser, pipette, bucket, select, line, rect, ellipse, polygon, text, hand
         color: '#000000',
         size: 5,
         shape: 'round', // round, square
         zoom: 1.0,
-        lastX: 0,
-        lastY: 0,
+        // View (see applyView)
+        pan: { x: 0, y: 0 }, // Screen px from the middle of the workspace to the middle of the canvas
+        rotation: 0, // Degrees clockwise, only the view turns
+        panDrag: null, // { pointerId, x, y } while the view is dragged
+        spaceHeld: false, // Space + drag pans with any tool
+        touches: new Map(), // Touch points on the workspace, pointerId -> { x, y }
+        pinch: null, // { distance, x, y } of the last two-finger gesture step
+        navigatorTimer: null,
 
         // Layers
-        layers: [], // { id, canvas, ctx, visible, name }
+        layers: [], // { id, canvas, ctx, visible, name, items }
         activeLayerId: null,
         nextLayerId: 1,
 
-        // History for Undo (Simplified: Snapshots of active layer)
-        // Note: Global Undo in multi-layer system usually tracks {layerId, imageData}
-        history: [],
-        historyStep: -1,
-        maxHistory: 20
+        // Animation: every frame has its own stack of layers, and state.layers is
+        // always the layers array of the frame on screen. { layers, activeLayerId }
+        frames: [],
+        currentFrame: 0,
+        fps: 12,
+        onionSkin: false, // Previous/next frame shown faintly under the current one
+        playback: null, // setInterval id while the animation plays
+
+        // The entry in the local project library this document autosaves to { id, name }
+        project: null,
+        autosave: {
+            enabled: false, // Off until startup is done, and without IndexedDB
+            timer: null, // Pending save after a change
+            saved: null // Time of the last save
+        },
+
+        // Strokes being recorded while the pointer is down: the one under the pointer first,
+        // then one per mirror image. { item, map, cursor, lastCell }
+        //   item:     stroke item (see drawItem), or a cells item in pixel art
+        //   map:      (x, y) -> [x, y] from the pointer to this stroke (see symmetryMaps)
+        //   cursor:   stamping progress (see stampStroke)
+        //   lastCell: [col, row] last painted in pixel art
+        currentStrokes: [],
+        strokeBase: null, // Layer before the current pressure-opacity strokes (see composeLiveStrokes)
+        symmetry: {
+            mode: 'off', // off, horizontal (mirrored left/right), vertical (top/bottom), both, radial
+            count: 6, // Copies around the centre in radial mode
+            center: null // { x, y }, null = centre of the document
+        },
+        brush: {
+            pressureSize: true, // Pen pressure scales the brush size
+            pressureOpacity: false, // Pen pressure scales the opacity
+            pressureCurve: 1, // pressure ^ curve: below 1 is softer, above 1 needs a firmer press
+            stabilizer: 0 // 0-0.95, how much of the way to the pointer each point lags behind
+        },
+
+        // Shape tools (line, rect, ellipse, polygon)
+        fillEnabled: false,
+        fillColor: '#ffffff',
+        strokeEnabled: true,
+        shapeStart: null, // { x, y } while dragging a line/rect/ellipse
+        polygonPoints: [], // Vertices placed so far with the polygon tool
+        selectedShape: null, // Shape item on the active layer that the property controls edit
+        // Text tool (see startText)
+        text: {
+            font: 'sans-serif', // Family: a web-safe font or an uploaded one (see fonts)
+            size: 32,
+            align: 'left', // left, center, right
+            style: 'normal' // normal, bold, italic, bolditalic, like p5's textStyle()
+        },
+        textEdit: null, // { layer, item, index, x, y } while the text editor is open; item is null for new text
+        fonts: [], // Fonts uploaded into the document { family, file, data (data URL) }
+        // Selection (see createSelection)
+        selection: null,
+        selectionDrag: null, // { mode: marquee|move|scale|rotate, ... } while the pointer is down
+        selectionShape: 'rect', // rect, lasso
+        antsOffset: 0, // Marching ants animation
+        clipboard: null, // { canvas, x, y } from copy/cut
+
+        layerPropertyEdit: null, // { layer, key, before } while the opacity slider is dragged
+        bucket: {
+            tolerance: 32, // Largest per-channel difference (0-255) that still counts as the same colour
+            contiguous: true, // Only the connected region, or every matching pixel
+            sampleMerged: false // Find the region on the merged visible image instead of the active layer
+        },
+        pipette: {
+            sampleReferences: false // Pick colours from reference layers too
+        },
+        importFile: null, // Image file waiting for the import dialog
+
+        // Code generation
+        codeOptions: {
+            format: 'global', // global, instance (new p5(...)), module (export function drawArtwork)
+            output: 'frame', // frame (redraw in draw()), once (createGraphics in setup()), image (embedded PNG)
+            mode: 'pixels', // pixels, vector
+            simplify: 0, // Path simplification tolerance in px (vector mode)
+            colors: 0, // Palette size for colour quantisation, 0 = keep every colour (flattened pixels only)
+            perLayer: false, // One drawLayer_<name>() function per layer
+            buffers: false, // Draw each layer once into a createGraphics() buffer
+            references: false // Include reference layers, normally they're only for tracing
+        },
+        generatedCode: '', // Last finished output of processAllLayers(), empty while generating
+        preview: null, // { frame, timer, expected, done } while the generated sketch runs in the preview
+
+        // Project download
+        exportOptions: {
+            p5Source: 'https://cdn.jsdelivr.net/npm/p5@1.9.4/lib/p5.min.js', // CDN URL or a local path like libraries/p5.min.js
+            includeStyle: true // Add the web editor's style.css
+        },
+
+        // Undo/redo commands (see saveHistoryState), newest last
+        undoStack: [],
+        redoStack: [],
+        historyGroup: null, // Commands collected between beginHistoryGroup() and endHistoryGroup()
+        maxHistory: 200,
+        maxHistoryBytes: 256 * 1024 * 1024 // Pixels kept for undo; big documents get fewer steps
     };
 
     // Initialize
     function init() {
-        // Create initial background layer
+        // Create initial background layer, in the first frame
+        setBackground(CONFIG.bgColor);
+        state.frames = [{ layers: state.layers, activeLayerId: null }];
         addLayer("Background");
+        state.undoStack = []; // The starting layer isn't something to undo
+        state.project = newProject('Untitled');
+        renderFrameList();
+
+        // Onion skin of the neighbouring frames, below every layer
+        onionCanvas.style.zIndex = 0;
+        canvasWrapper.appendChild(onionCanvas);
+        // Overlay for previews (rubber-band shapes, selection box), always on top
+        overlay.style.zIndex = 10000;
+        canvasWrapper.appendChild(overlay);
+        // Cell grid of pixel art documents, just below the overlay
+        pixelGrid.className = 'pixel-grid hidden';
+        canvasWrapper.appendChild(pixelGrid);
+        // Editor of the text tool, over everything while it's open
+        textEditor.className = 'text-editor hidden';
+        textEditor.spellcheck = false;
+        canvasWrapper.appendChild(textEditor);
+        setCanvasSize(CONFIG.width, CONFIG.height, CONFIG.windowSized, CONFIG.pixelSize);
 
         // Setup Tools
         toolBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                toolBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                if (btn.id === 'tool-pen') state.currentTool = 'pen';
-                if (btn.id === 'tool-eraser') state.currentTool = 'eraser';
-                if (btn.id === 'tool-pipette') state.currentTool = 'pipette';
-            });
+            btn.addEventListener('click', () => switchToTool(btn.id.replace('tool-', '')));
         });
 
         // Properties
+        // Changes to the colour/size/shape controls also edit the selected shape;
+        // 'input' previews the edit, 'change' records it in history.
         colorPicker.addEventListener('input', (e) => {
             state.color = e.target.value;
             if (state.currentTool === 'eraser') switchToTool('pen');
+            if (state.strokeEnabled) editSelectedShape({ stroke: state.color }, false);
+            layoutTextEditor();
+        });
+        colorPicker.addEventListener('change', () => {
+            if (state.strokeEnabled) editSelectedShape({ stroke: state.color }, true);
         });
 
         sizeSlider.addEventListener('input', (e) => {
             state.size = parseInt(e.target.value);
             sizeDisplay.textContent = state.size;
+            editSelectedShape({ size: state.size }, false);
         });
+        sizeSlider.addEventListener('change', () => editSelectedShape({ size: state.size }, true));
 
         brushShape.addEventListener('change', (e) => {
             state.shape = e.target.value;
+            editSelectedShape({ shape: state.shape }, true);
+        });
+
+        fillToggle.addEventListener('change', (e) => {
+            state.fillEnabled = e.target.checked;
+            editSelectedShape({ fill: state.fillEnabled ? state.fillColor : null }, true);
+        });
+        fillPicker.addEventListener('input', (e) => {
+            state.fillColor = e.target.value;
+            if (state.fillEnabled) editSelectedShape({ fill: state.fillColor }, false);
+        });
+        fillPicker.addEventListener('change', () => {
+            if (state.fillEnabled) editSelectedShape({ fill: state.fillColor }, true);
+        });
+        strokeToggle.addEventListener('change', (e) => {
+            state.strokeEnabled = e.target.checked;
+            editSelectedShape({ stroke: state.strokeEnabled ? state.color : null }, true);
+        });
+
+        // Text settings, for new text and the text being edited
+        textFontSelect.addEventListener('change', (e) => setTextOption('font', e.target.value));
+        textSizeInput.addEventListener('change', (e) => {
+            const size = Math.max(4, Math.min(parseInt(e.target.value) || state.text.size, 400));
+            e.target.value = size;
+            setTextOption('size', size);
+        });
+        textAlignSelect.addEventListener('change', (e) => setTextOption('align', e.target.value));
+        textStyleSelect.addEventListener('change', (e) => setTextOption('style', e.target.value));
+        btnUploadFont.addEventListener('click', () => fontInput.click());
+        fontInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) uploadFont(e.target.files[0]);
+            e.target.value = ''; // The same file can be uploaded again
+        });
+        textEditor.addEventListener('input', layoutTextEditor);
+        textEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancelTextEdit();
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) commitTextEdit();
+        });
+        // Clicking elsewhere puts the text down, unless it's to change its settings
+        textEditor.addEventListener('blur', (e) => {
+            if (e.relatedTarget !== colorPicker && !textSettings.contains(e.relatedTarget)) commitTextEdit();
+        });
+        // Clicks in the editor place the caret, they aren't for the tools underneath
+        textEditor.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+        // Symmetry
+        symmetryMode.addEventListener('change', (e) => {
+            state.symmetry.mode = e.target.value;
+            symmetryCount.disabled = state.symmetry.mode !== 'radial';
+            drawOverlay();
+        });
+        symmetryCount.addEventListener('input', (e) => {
+            state.symmetry.count = parseInt(e.target.value);
+            symmetryCountDisplay.textContent = state.symmetry.count;
+            drawOverlay();
+        });
+        btnSymmetryCenter.addEventListener('click', () => {
+            state.symmetry.center = null;
+            drawOverlay();
+        });
+
+        // Brush options (only used for strokes started afterwards)
+        pressureSizeToggle.addEventListener('change', (e) => {
+            state.brush.pressureSize = e.target.checked;
+        });
+        pressureOpacityToggle.addEventListener('change', (e) => {
+            state.brush.pressureOpacity = e.target.checked;
+        });
+        pressureCurveSlider.addEventListener('input', (e) => {
+            state.brush.pressureCurve = parseFloat(e.target.value);
+            pressureCurveDisplay.textContent = state.brush.pressureCurve.toFixed(1);
+        });
+        stabilizerSlider.addEventListener('input', (e) => {
+            state.brush.stabilizer = parseInt(e.target.value) / 100;
+            stabilizerDisplay.textContent = e.target.value;
+        });
+
+        // Selection
+        selectionShapeSelect.addEventListener('change', (e) => {
+            state.selectionShape = e.target.value;
+        });
+        btnFlipH.addEventListener('click', () => flipSelection(true));
+        btnFlipV.addEventListener('click', () => flipSelection(false));
+        btnSelectionDelete.addEventListener('click', deleteSelection);
+        btnSelectionCommit.addEventListener('click', commitSelection);
+
+        // Bucket options
+        bucketTolerance.addEventListener('input', (e) => {
+            state.bucket.tolerance = parseInt(e.target.value);
+            bucketToleranceDisplay.textContent = state.bucket.tolerance;
+        });
+        bucketContiguous.addEventListener('change', (e) => {
+            state.bucket.contiguous = e.target.checked;
+        });
+        bucketSample.addEventListener('change', (e) => {
+            state.bucket.sampleMerged = e.target.value === 'merged';
+        });
+        pipetteReferences.addEventListener('change', (e) => {
+            state.pipette.sampleReferences = e.target.checked;
         });
 
         // Layer Action
         btnAddLayer.addEventListener('click', () => addLayer(`Layer ${state.nextLayerId}`));
+        btnDuplicateLayer.addEventListener('click', duplicateLayer);
+        btnMergeDown.addEventListener('click', mergeDown);
+        layerOpacity.addEventListener('input', (e) => {
+            layerOpacityDisplay.textContent = e.target.value;
+            previewLayerProperty('opacity', parseInt(e.target.value) / 100);
+        });
+        layerOpacity.addEventListener('change', (e) => commitLayerProperty('opacity', parseInt(e.target.value) / 100));
+        layerBlend.addEventListener('change', (e) => commitLayerProperty('blend', e.target.value));
+
+        // Image import: from the file picker or dropped on the canvas
+        btnImportImage.addEventListener('click', () => imageInput.click());
+        imageInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) openImportDialog(e.target.files[0]);
+            e.target.value = '';
+        });
+        canvasWrapper.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        canvasWrapper.addEventListener('drop', (e) => {
+            if (e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            const file = [...e.dataTransfer.files].find(f => IMPORT_TYPES.includes(f.type));
+            if (file) {
+                openImportDialog(file);
+            } else {
+                alert("Only PNG, JPEG and WebP images can be imported.");
+            }
+        });
+        document.getElementById('btn-close-import-modal').addEventListener('click', () => importModal.classList.add('hidden'));
+        document.getElementById('btn-import-ok').addEventListener('click', confirmImportDialog);
 
         // File Actions
+        // Document background
+        bgColorPicker.addEventListener('input', (e) => {
+            bgTransparent.checked = false;
+            setBackground(e.target.value);
+            scheduleAutosave();
+        });
+        bgTransparent.addEventListener('change', (e) => {
+            setBackground(e.target.checked ? 'transparent' : bgColorPicker.value);
+            scheduleAutosave();
+        });
+
+        // Frames
+        btnAddFrame.addEventListener('click', addFrame);
+        btnDuplicateFrame.addEventListener('click', duplicateFrame);
+        btnDeleteFrame.addEventListener('click', deleteFrame);
+        btnPlay.addEventListener('click', () => {
+            if (state.playback) stopPlayback();
+            else startPlayback();
+        });
+        frameFps.addEventListener('change', (e) => {
+            state.fps = Math.max(1, Math.min(parseInt(e.target.value) || 12, 60));
+            e.target.value = state.fps;
+            scheduleAutosave();
+            // Restart so the new speed applies right away
+            if (state.playback) {
+                stopPlayback();
+                startPlayback();
+            }
+        });
+        onionSkinToggle.addEventListener('change', (e) => {
+            state.onionSkin = e.target.checked;
+            drawOnionSkin();
+        });
+
+        // Canvas size
+        btnNew.addEventListener('click', () => openCanvasDialog('new'));
+        btnCanvasSize.addEventListener('click', () => openCanvasDialog('resize'));
+        document.getElementById('btn-close-canvas-modal').addEventListener('click', () => canvasModal.classList.add('hidden'));
+        document.getElementById('btn-canvas-ok').addEventListener('click', confirmCanvasDialog);
+        canvasPreset.addEventListener('change', (e) => applyCanvasPreset(e.target.value));
+        [canvasWidthInput, canvasHeightInput].forEach(input => {
+            input.addEventListener('input', () => canvasPreset.value = 'custom');
+        });
+        canvasResizeMode.addEventListener('change', (e) => {
+            anchorGrid.classList.toggle('disabled', e.target.value === 'scale');
+        });
+        anchorGrid.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                anchorGrid.querySelectorAll('button').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+            });
+        });
+
         btnSave.addEventListener('click', saveProject);
         btnLoad.addEventListener('click', () => fileInput.click());
         fileInput.addEventListener('change', loadProject);
 
+        // Project library
+        btnProjects.addEventListener('click', openProjectsDialog);
+        document.getElementById('btn-close-projects-modal').addEventListener('click', () => projectsModal.classList.add('hidden'));
+        document.getElementById('btn-restore-dismiss').addEventListener('click', () => restoreBanner.classList.add('hidden'));
+
+        // p5 code import
+        btnImportCode.addEventListener('click', openCodeImportDialog);
+        document.getElementById('btn-code-import').addEventListener('click', confirmCodeImport);
+        document.getElementById('btn-close-code-import').addEventListener('click', () => codeImportModal.classList.add('hidden'));
+        // Last chance to write a pending autosave before the tab goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && state.autosave.timer) autosave();
+        });
+
         // Zoom Actions
-        btnZoomIn.addEventListener('click', () => updateZoom(state.zoom + 0.1));
-        btnZoomOut.addEventListener('click', () => updateZoom(state.zoom - 0.1));
-        btnZoomFit.addEventListener('click', () => updateZoom(1.0));
+        btnZoomIn.addEventListener('click', () => updateZoom(state.zoom * ZOOM_STEP));
+        btnZoomOut.addEventListener('click', () => updateZoom(state.zoom / ZOOM_STEP));
+        btnZoomFit.addEventListener('click', fitView);
+        zoomDisplay.addEventListener('click', () => updateZoom(1));
+        btnRotateLeft.addEventListener('click', () => rotateView(state.rotation - ROTATION_STEP));
+        btnRotateRight.addEventListener('click', () => rotateView(state.rotation + ROTATION_STEP));
+        btnRotateReset.addEventListener('click', () => rotateView(0));
 
-        // Wheel Zoom (Direct, no ctrl)
+        // Ctrl+wheel zooms at the cursor, the wheel alone pans (Shift+wheel sideways)
         workspace.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const delta = e.deltaY > 0 ? -0.1 : 0.1;
-            updateZoom(state.zoom + delta);
+            const lines = e.deltaMode === 1 ? 16 : 1; // Some mice scroll in lines
+            if (e.ctrlKey || e.metaKey) {
+                updateZoom(state.zoom * Math.exp(-e.deltaY * lines * WHEEL_ZOOM_SPEED), { x: e.clientX, y: e.clientY });
+                return;
+            }
+            const sideways = e.shiftKey && e.deltaX === 0;
+            state.pan.x -= (sideways ? e.deltaY : e.deltaX) * lines;
+            state.pan.y -= (sideways ? 0 : e.deltaY) * lines;
+            applyView();
         }, { passive: false });
 
+        // Panning and pinching come before the tools (capture phase)
+        workspace.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'touch') state.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (state.touches.size === 2) {
+                // The first finger started the pinch, not a stroke: whatever it drew is undone
+                if (state.isDrawing) {
+                    const commands = state.undoStack.length;
+                    stopDrawing(e);
+                    if (state.undoStack.length > commands) undo();
+                }
+                state.panDrag = null;
+                state.pinch = pinchGesture();
+                e.stopPropagation();
+                return;
+            }
+            if (e.button === 1 || (e.button === 0 && (state.spaceHeld || state.currentTool === 'hand'))) {
+                e.preventDefault();
+                e.stopPropagation();
+                startPan(e);
+            }
+        }, true);
+        // No autoscroll on the middle button
+        workspace.addEventListener('mousedown', (e) => {
+            if (e.button === 1) e.preventDefault();
+        });
+        window.addEventListener('pointermove', (e) => {
+            movePan(e);
+            movePinch(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => window.addEventListener(type, (e) => {
+            endPan(e);
+            endTouch(e);
+        }));
+        window.addEventListener('keyup', (e) => {
+            if (e.key === ' ') {
+                state.spaceHeld = false;
+                updateHandCursor();
+            }
+        });
+        window.addEventListener('blur', () => {
+            state.spaceHeld = false;
+            updateHandCursor();
+        });
+        window.addEventListener('resize', applyView);
+        navigatorCanvas.addEventListener('pointerdown', (e) => {
+            navigatorCanvas.setPointerCapture(e.pointerId);
+            panToNavigator(e);
+        });
+        navigatorCanvas.addEventListener('pointermove', (e) => {
+            if (e.buttons & 1) panToNavigator(e);
+        });
+
         // Actions
         btnUndo.addEventListener('click', undo);
+        btnRedo.addEventListener('click', redo);
         btnClear.addEventListener('click', clearCurrentLayer);
         btnGenerate.addEventListener('click', generateCode);
 
         // Modal Actions
-        btnCloseModal.addEventListener('click', () => modal.classList.add('hidden'));
+        btnCloseModal.addEventListener('click', () => {
+            modal.classList.add('hidden');
+            closePreview();
+        });
         btnCopy.addEventListener('click', copyCode);
+        btnPreview.addEventListener('click', runPreview);
+        // The preview sketch reports its first frame (or an error)
+        window.addEventListener('message', (e) => {
+            if (state.preview && e.source === state.preview.frame.contentWindow) showPreviewResult(e.data);
+        });
+        btnDownloadProject.addEventListener('click', downloadProject);
+        p5SourceInput.addEventListener('change', (e) => {
+            state.exportOptions.p5Source = e.target.value.trim();
+        });
+        exportStyleToggle.addEventListener('change', (e) => {
+            state.exportOptions.includeStyle = e.target.checked;
+        });
+
+        codeFormat.addEventListener('change', (e) => {
+            state.codeOptions.format = e.target.value;
+            generateCode();
+        });
+        codeOutputStrategy.addEventListener('change', (e) => {
+            state.codeOptions.output = e.target.value;
+            updateCodeOptionControls();
+            generateCode();
+        });
+        codeMode.addEventListener('change', (e) => {
+            state.codeOptions.mode = e.target.value;
+            updateCodeOptionControls();
+            generateCode();
+        });
+        codePerLayer.addEventListener('change', (e) => {
+            state.codeOptions.perLayer = e.target.checked;
+            updateCodeOptionControls();
+            generateCode();
+        });
+        codeBuffers.addEventListener('change', (e) => {
+            state.codeOptions.buffers = e.target.checked;
+            generateCode();
+        });
+        codeReferences.addEventListener('change', (e) => {
+            state.codeOptions.references = e.target.checked;
+            generateCode();
+        });
+        colorCount.addEventListener('change', (e) => {
+            state.codeOptions.colors = parseInt(e.target.value);
+            generateCode();
+        });
+        simplifySlider.addEventListener('input', (e) => {
+            state.codeOptions.simplify = parseFloat(e.target.value);
+            simplifyDisplay.textContent = state.codeOptions.simplify;
+        });
+        simplifySlider.addEventListener('change', generateCode);
 
         // Shortcuts
         window.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'z') {
+            // Keys on a form control (canvas size, p5 source, sliders, menus, ...) aren't shortcuts
+            if (e.target.matches && e.target.matches('input, select, textarea, [contenteditable]')) return;
+
+            if (e.ctrlKey && (e.key === 'y' || (e.shiftKey && e.key.toLowerCase() === 'z'))) {
+                e.preventDefault();
+                redo();
+            } else if (e.ctrlKey && e.key === 'z') {
                 e.preventDefault();
                 undo();
             }
             if (e.key === 'p') switchToTool('pen');
             if (e.key === 'e') switchToTool('eraser');
             if (e.key === 'i') switchToTool('pipette');
+            if (e.key === 'b') switchToTool('bucket');
+            if (e.key === 'm') switchToTool('select');
+            if (e.key === 'l') switchToTool('line');
+            if (e.key === 'r') switchToTool('rect');
+            if (e.key === 'o') switchToTool('ellipse');
+            if (e.key === 'g') switchToTool('polygon');
+            if (e.key === 't') switchToTool('text');
+            if (e.key === 'h') switchToTool('hand');
+            if (e.key === ' ') {
+                e.preventDefault(); // Not a click on the focused button, nor a page scroll
+                state.spaceHeld = true;
+                updateHandCursor();
+            }
+            // Previous / next frame
+            if (e.key === ',' && state.currentFrame > 0) showFrame(state.currentFrame - 1);
+            if (e.key === '.' && state.currentFrame < state.frames.length - 1) showFrame(state.currentFrame + 1);
+
+            if (e.key === 'Enter' && state.polygonPoints.length > 0) finishPolygon();
+            if (e.key === 'Enter' && state.selection) commitSelection();
+            if (e.key === 'Escape') {
+                cancelShape();
+                cancelSelection();
+            }
+            if ((e.key === 'Delete' || e.key === 'Backspace') && state.selectedShape) {
+                e.preventDefault();
+                deleteSelectedShape();
+            } else if ((e.key === 'Delete' || e.key === 'Backspace') && state.selection) {
+                e.preventDefault();
+                deleteSelection();
+            }
+        });
+
+        // Clipboard (Ctrl+C/X/V). Text fields and selected text keep the normal behaviour.
+        const isTextTarget = (e) => (e.target.matches && e.target.matches('input, textarea, [contenteditable]'))
+            || window.getSelection().toString() !== '';
+        window.addEventListener('copy', (e) => {
+            if (isTextTarget(e) || !state.selection) return;
+            e.preventDefault();
+            // Replaces whatever image was on the system clipboard, so the next paste is this copy
+            e.clipboardData.setData('text/plain', '');
+            copySelection();
+        });
+        window.addEventListener('cut', (e) => {
+            if (isTextTarget(e) || !state.selection) return;
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', '');
+            cutSelection();
+        });
+        window.addEventListener('paste', (e) => {
+            if (isTextTarget(e)) return;
+            const image = [...e.clipboardData.items].find(item => item.kind === 'file' && item.type.startsWith('image/'));
+            if (image) {
+                e.preventDefault();
+                pasteImageFile(image.getAsFile());
+            } else if (state.clipboard) {
+                e.preventDefault();
+                pasteClipboard();
+            }
         });
 
+        // Marching ants
+        setInterval(() => {
+            if (state.selection || state.selectionDrag) {
+                state.antsOffset = (state.antsOffset + 1) % 8;
+                drawOverlay();
+            }
+        }, 100);
+
         // Canvas Wrapper Events (delegated to active layer logic) using Pointer Events for Pen support
         canvasWrapper.addEventListener('pointerdown', startDrawing);
+        canvasWrapper.addEventListener('dblclick', () => {
+            if (state.currentTool === 'polygon') finishPolygon();
+        });
         window.addEventListener('pointermove', draw);
         window.addEventListener('pointerup', stopDrawing);
         // Prevent default touch gestures
         canvasWrapper.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+
+        // Autosave needs IndexedDB, which some private browsing modes don't have
+        if (window.indexedDB) {
+            state.autosave.enabled = true;
+            offerRestore();
+        } else {
+            btnProjects.disabled = true;
+        }
     }
 
     // --- Layer Management ---
-    function addLayer(name) {
-        const id = state.nextLayerId++;
+    // Blend modes by their canvas/CSS name, with the matching p5 constant
+    const BLEND_MODES = {
+        'normal': 'BLEND',
+        'multiply': 'MULTIPLY',
+        'screen': 'SCREEN',
+        'overlay': 'OVERLAY',
+        'darken': 'DARKEST',
+        'lighten': 'LIGHTEST',
+        'color-dodge': 'DODGE',
+        'color-burn': 'BURN',
+        'hard-light': 'HARD_LIGHT',
+        'soft-light': 'SOFT_LIGHT',
+        'difference': 'DIFFERENCE',
+        'exclusion': 'EXCLUSION'
+    };
+
+    // items: ordered record of everything drawn on this layer (see drawItem).
+    // Replaying them reproduces the canvas, which is what makes shapes editable.
+    // opacity (0-1) and blend (a BLEND_MODES key) apply when the layer is composited.
+    // reference: a photo or sketch to trace. It's locked against painting and left out
+    // of the generated code and the pipette (unless those are asked to include it).
+    function createLayerObject(id, name) {
         const canvas = document.createElement('canvas');
         canvas.width = CONFIG.width;
         canvas.height = CONFIG.height;
         canvas.id = `layer-${id}`;
-        canvas.style.zIndex = id; // Simple z-index matching creation order for now
 
         const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        return { id, canvas, ctx, visible: true, name, items: [], opacity: 1, blend: 'normal', reference: false };
+    }
 
-        // If it's the very first layer, fill white
-        if (state.layers.length === 0) {
-            ctx.fillStyle = CONFIG.bgColor;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+    function addLayer(name) {
+        const layerObj = createLayerObject(state.nextLayerId++, name);
+        resetHistoryBase(layerObj);
+
+        const index = state.layers.length;
+        insertLayer(layerObj, index);
+        pushHistory({
+            undo: () => removeLayer(layerObj),
+            redo: () => insertLayer(layerObj, index)
+        });
+    }
+
+    // Copy of the active layer, placed right above it
+    function duplicateLayer() {
+        commitSelection(); // A floating selection goes down first
+        const source = state.layers.find(l => l.id === state.activeLayerId);
+        if (!source) return;
+
+        const copy = copyLayer(source, `${source.name} copy`);
+        const index = state.layers.indexOf(source) + 1;
+        insertLayer(copy, index);
+        pushHistory({
+            undo: () => removeLayer(copy),
+            redo: () => insertLayer(copy, index)
+        });
+    }
+
+    // New layer with the settings of `source`, and a copy of what's drawn on it unless `empty`
+    function copyLayer(source, name, empty) {
+        const copy = createLayerObject(state.nextLayerId++, name);
+        if (!empty) {
+            copy.ctx.drawImage(source.canvas, 0, 0);
+            copy.items = source.items.slice();
         }
+        copy.visible = source.visible;
+        copy.opacity = source.opacity;
+        copy.blend = source.blend;
+        copy.reference = source.reference;
+        resetHistoryBase(copy);
+        return copy;
+    }
 
-        canvasWrapper.appendChild(canvas);
+    // Reference layers are only there to trace: `includeReferences` keeps them in
+    function sampledLayers(layers, includeReferences) {
+        return includeReferences ? layers : layers.filter(l => !l.reference);
+    }
 
-        const layerObj = { id, canvas, ctx, visible: true, name };
-        state.layers.push(layerObj);
+    // Merges the active layer into the one below it, as it looks on screen
+    function mergeDown() {
+        commitSelection(); // A floating selection goes down first
+        const idx = state.layers.findIndex(l => l.id === state.activeLayerId);
+        if (idx <= 0) return;
+        const upper = state.layers[idx];
+        const lower = state.layers[idx - 1];
+        // Reference layers neither take nor give pixels, and a hidden layer would
+        // disappear without a trace (the button is disabled for all of these)
+        if (upper.reference || lower.reference || !upper.visible) return;
 
-        setActiveLayer(id);
-        renderLayerList();
-        saveHistoryState(id); // Initial state
+        // The lower layer's own opacity and blend mode would also apply to the upper
+        // pixels after merging, so they're baked into its pixels first
+        const { opacity, blend } = lower;
+        const bake = isComposited(lower);
+        if (bake) {
+            const baked = document.createElement('canvas');
+            baked.width = CONFIG.width;
+            baked.height = CONFIG.height;
+            drawLayerOnto(baked.getContext('2d'), lower);
+            restoreCanvas(lower, baked);
+        }
+
+        drawLayerOnto(lower.ctx, upper);
+        // Replaying the upper items on the lower layer only looks the same when both
+        // layers are plain: no opacity, no blend mode, nothing erased on the upper one.
+        // Otherwise the merged result becomes a bitmap.
+        const plain = !bake && upper.opacity === 1 && upper.blend === 'normal'
+            && !upper.items.some(item => item.tool === 'eraser');
+        lower.items = plain
+            ? lower.items.concat(upper.items)
+            : [{ type: 'image', canvas: cloneCanvas(lower.canvas) }];
+
+        // One undo step: the pixels and properties of the lower layer plus removing the upper one
+        beginHistoryGroup();
+        saveHistoryState(lower.id);
+        if (bake) {
+            const setLook = (o, b) => {
+                lower.opacity = o;
+                lower.blend = b;
+                renderLayerList();
+            };
+            setLook(1, 'normal');
+            pushHistory({
+                undo: () => setLook(opacity, blend),
+                redo: () => setLook(1, 'normal')
+            });
+        }
+        removeLayer(upper);
+        setActiveLayer(lower.id);
+        pushHistory({
+            undo: () => insertLayer(upper, idx),
+            redo: () => {
+                removeLayer(upper);
+                setActiveLayer(lower.id);
+            }
+        });
+        endHistoryGroup();
+    }
+
+    // Puts a layer object (back) into the document at `index` and makes it active
+    function insertLayer(layer, index) {
+        canvasWrapper.appendChild(layer.canvas);
+        state.layers.splice(index, 0, layer);
+        setActiveLayer(layer.id);
+    }
+
+    function removeLayer(layer) {
+        const idx = state.layers.indexOf(layer);
+        if (idx === -1) return;
+        layer.canvas.remove();
+        state.layers.splice(idx, 1);
+
+        // If we removed the active layer, pick a neighbor
+        if (state.activeLayerId === layer.id) {
+            setActiveLayer(state.layers[Math.max(0, idx - 1)].id);
+        } else {
+            renderLayerList();
+        }
+    }
+
+    function moveLayer(layer, toIndex) {
+        const fromIndex = state.layers.indexOf(layer);
+        if (fromIndex === -1 || fromIndex === toIndex) return;
+
+        const move = (from, to) => {
+            state.layers.splice(from, 1);
+            state.layers.splice(to, 0, layer);
+            renderLayerList();
+        };
+        move(fromIndex, toIndex);
+        pushHistory({
+            undo: () => move(toIndex, fromIndex),
+            redo: () => move(fromIndex, toIndex)
+        });
+    }
+
+    function renameLayer(layer, name) {
+        const before = layer.name;
+        if (!name || name === before) return;
+
+        const rename = (value) => {
+            layer.name = value;
+            renderLayerList();
+        };
+        rename(name);
+        pushHistory({
+            undo: () => rename(before),
+            redo: () => rename(name)
+        });
+    }
+
+    // Opacity/blend of the active layer. Slider 'input' only previews;
+    // the value from before the drag is kept so 'change' records one step.
+    function previewLayerProperty(key, value) {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer) return;
+        if (!state.layerPropertyEdit) {
+            state.layerPropertyEdit = { layer, key, before: layer[key] };
+        }
+        layer[key] = value;
+        syncLayerCanvases();
+    }
+
+    function commitLayerProperty(key, value) {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer) return;
+        const edit = state.layerPropertyEdit;
+        const before = edit && edit.layer === layer && edit.key === key ? edit.before : layer[key];
+        state.layerPropertyEdit = null;
+        if (before === value) return;
+
+        const set = (v) => {
+            layer[key] = v;
+            renderLayerList();
+        };
+        set(value);
+        pushHistory({
+            undo: () => set(before),
+            redo: () => set(value)
+        });
     }
 
     function setActiveLayer(id) {
+        // Floating pixels belong to their layer
+        if (state.selection && state.selection.floating && state.selection.floating.layer.id !== id) commitSelection();
         state.activeLayerId = id;
+        state.frames[state.currentFrame].activeLayerId = id; // Remembered when switching frames
+        if (state.selectedShape) selectShape(null);
         renderLayerList();
     }
 
+    // A reference layer can still be drawn over, on the layers above it
+    function toggleReferenceLayer(id) {
+        const layer = state.layers.find(l => l.id === id);
+        if (!layer) return;
+        commitSelection(); // A floating selection goes down first
+        const toggle = () => {
+            layer.reference = !layer.reference;
+            renderLayerList();
+        };
+        toggle();
+        pushHistory({ undo: toggle, redo: toggle });
+    }
+
     function toggleLayerVisibility(id) {
         const layer = state.layers.find(l => l.id === id);
         if (layer) {
-            layer.visible = !layer.visible;
-            layer.canvas.style.display = layer.visible ? 'block' : 'none';
-            renderLayerList();
+            const toggle = () => {
+                layer.visible = !layer.visible;
+                renderLayerList();
+            };
+            toggle();
+            pushHistory({ undo: toggle, redo: toggle });
         }
     }
 
     function deleteLayer(id) {
+        commitSelection(); // A floating selection goes down first
         if (state.layers.length <= 1) return; // Don't delete last layer
 
         const idx = state.layers.findIndex(l => l.id === id);
         if (idx !== -1) {
             const layer = state.layers[idx];
-            layer.canvas.remove();
-            state.layers.splice(idx, 1);
+            const activeId = state.activeLayerId;
+            removeLayer(layer);
+            pushHistory({
+                undo: () => {
+                    insertLayer(layer, idx);
+                    setActiveLayer(activeId);
+                },
+                redo: () => removeLayer(layer)
+            });
+        }
+    }
 
-            // If we deleted active layer, pick a neighbor
-            if (state.activeLayerId === id) {
-                const newIdx = Math.max(0, idx - 1);
-                setActiveLayer(state.layers[newIdx].id);
-            } else {
-                renderLayerList();
-            }
+    // Stacking order, visibility, opacity and blend mode of the layer canvases
+    function syncLayerCanvases() {
+        state.layers.forEach((layer, i) => {
+            const style = layer.canvas.style;
+            style.zIndex = i + 1; // The overlay sits above at 10000
+            style.display = layer.visible ? 'block' : 'none';
+            style.opacity = layer.opacity;
+            style.mixBlendMode = layer.blend;
+        });
+    }
+
+    // Draws a layer the way it's composited on screen
+    function drawLayerOnto(ctx, layer, ...area) {
+        ctx.save();
+        ctx.globalAlpha = layer.opacity;
+        ctx.globalCompositeOperation = layer.blend === 'normal' ? 'source-over' : layer.blend;
+        if (area.length > 0) {
+            ctx.drawImage(layer.canvas, ...area);
+        } else {
+            ctx.drawImage(layer.canvas, 0, 0);
+        }
+        ctx.restore();
+    }
+
+    // The visible image: the background colour as the base (unless transparent or left out)
+    // and every visible layer on top in order, with its opacity and blend mode.
+    // `layers` is the layer stack of a frame, usually state.layers.
+    // `area` is an optional drawImage() source/destination rect.
+    function drawComposite(ctx, withBackground, layers, ...area) {
+        if (withBackground && CONFIG.bgColor !== 'transparent') {
+            ctx.fillStyle = CONFIG.bgColor;
+            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
         }
+        layers.forEach(l => {
+            if (l.visible) {
+                drawLayerOnto(ctx, l, ...area);
+            }
+        });
     }
 
+    // Our own type, so drags of files or text from elsewhere aren't taken for a layer.
+    // Only the types of a drag can be read before the drop, not the data.
+    const LAYER_DRAG_TYPE = 'application/x-paintcoder-layer';
+
     function renderLayerList() {
+        syncLayerCanvases();
+
         layersList.innerHTML = '';
         // Render in reverse order (top layer at top of list)
         [...state.layers].reverse().forEach(layer => {
             const el = document.createElement('div');
-            el.className = `layer-item ${layer.id === state.activeLayerId ? 'active' : ''}`;
+            el.className = `layer-item ${layer.id === state.activeLayerId ? 'active' : ''} ${layer.reference ? 'reference' : ''}`;
             el.onclick = () => setActiveLayer(layer.id);
 
+            // Drag to reorder: dropping on another layer takes its place in the stack
+            el.draggable = true;
+            el.ondragstart = (e) => {
+                e.dataTransfer.setData(LAYER_DRAG_TYPE, String(layer.id));
+                e.dataTransfer.effectAllowed = 'move';
+            };
+            el.ondragover = (e) => {
+                if (!e.dataTransfer.types.includes(LAYER_DRAG_TYPE)) return;
+                e.preventDefault();
+                el.classList.add('drag-over');
+            };
+            el.ondragleave = () => el.classList.remove('drag-over');
+            el.ondrop = (e) => {
+                el.classList.remove('drag-over'); // Dropping on itself doesn't re-render the list
+                if (!e.dataTransfer.types.includes(LAYER_DRAG_TYPE)) return;
+                e.preventDefault();
+                const dragged = state.layers.find(l => l.id === parseInt(e.dataTransfer.getData(LAYER_DRAG_TYPE)));
+                if (dragged) moveLayer(dragged, state.layers.indexOf(layer));
+            };
+
             const nameSpan = document.createElement('span');
             nameSpan.className = 'layer-name';
             nameSpan.textContent = layer.name;
+            nameSpan.ondblclick = (e) => {
+                e.stopPropagation();
+                startRename(layer, nameSpan);
+            };
 
             const controls = document.createElement('div');
             controls.className = 'layer-controls';
 
+            const refBtn = document.createElement('button');
+            refBtn.className = `icon-btn ${layer.reference ? 'on' : ''}`;
+            refBtn.title = '参照レイヤー（Reference: locked, not in the code）';
+            refBtn.innerHTML = layer.reference ? '<i class="fa-solid fa-lock"></i>' : '<i class="fa-solid fa-lock-open"></i>';
+            refBtn.onclick = (e) => {
+                e.stopPropagation();
+                toggleReferenceLayer(layer.id);
+            };
+
             const visBtn = document.createElement('button');
             visBtn.className = 'icon-btn';
             visBtn.innerHTML = layer.visible ? '<i class="fa-solid fa-eye"></i>' : '<i class="fa-solid fa-eye-slash"></i>';
@@ -248,6 +1172,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 deleteLayer(layer.id);
             };
 
+            controls.appendChild(refBtn);
             controls.appendChild(visBtn);
             controls.appendChild(delBtn);
 
@@ -255,6 +1180,58 @@ document.addEventListener('DOMContentLoaded', () => {
             el.appendChild(controls);
             layersList.appendChild(el);
         });
+
+        // Opacity/blend controls follow the active layer
+        const active = state.layers.find(l => l.id === state.activeLayerId);
+        if (active) {
+            layerOpacity.value = Math.round(active.opacity * 100);
+            layerOpacityDisplay.textContent = layerOpacity.value;
+            layerBlend.value = active.blend;
+        }
+        const idx = state.layers.findIndex(l => l.id === state.activeLayerId);
+        btnMergeDown.disabled = idx <= 0 || state.layers[idx].reference || state.layers[idx - 1].reference
+            || !state.layers[idx].visible;
+        // The canvas shows when painting is locked
+        canvasWrapper.classList.toggle('locked', !!(active && active.reference));
+    }
+
+    // Swaps the layer name for a text field; Enter or leaving the field renames, Escape cancels
+    function startRename(layer, nameSpan) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = layer.name;
+
+        let done = false;
+        const finish = (apply) => {
+            if (done) return;
+            done = true;
+            if (apply) {
+                renameLayer(layer, input.value.trim());
+            }
+            renderLayerList();
+        };
+        input.onkeydown = (e) => {
+            e.stopPropagation(); // Keep tool shortcuts out of the text field
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        };
+        input.onblur = () => finish(true);
+        input.onclick = (e) => e.stopPropagation();
+
+        nameSpan.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    // The background sits below every layer, like background() in p5.
+    // 'transparent' shows the checkerboard and is emitted as clear().
+    function setBackground(color) {
+        CONFIG.bgColor = color;
+        canvasWrapper.style.background = color === 'transparent' ? '' : color;
+        bgTransparent.checked = color === 'transparent';
+        if (color !== 'transparent') bgColorPicker.value = color;
+        scheduleNavigator();
     }
 
     function getActiveCtx() {
@@ -262,411 +1239,6028 @@ document.addEventListener('DOMContentLoaded', () => {
         return layer ? layer.ctx : null;
     }
 
-    // --- Tool Logic ---
+    // Redraws a layer from scratch by replaying its items
+    function renderLayer(layer) {
+        layer.ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
+        layer.items.forEach(item => drawItem(layer.ctx, item));
+    }
 
-    function switchToTool(toolName) {
-        state.currentTool = toolName;
-        toolBtns.forEach(b => b.classList.remove('active'));
-        if (toolName === 'pen') document.getElementById('tool-pen').classList.add('active');
-        if (toolName === 'eraser') document.getElementById('tool-eraser').classList.add('active');
-        if (toolName === 'pipette') document.getElementById('tool-pipette').classList.add('active');
+    // Item types:
+    // - stroke: pen/eraser stroke { tool, color, size, shape, points, pressureSize, pressureOpacity, pressureCurve }
+    //           points are [x, y] or [x, y, pressure] (see stampStroke)
+    // - shape:  { kind: line|rect|ellipse|polygon, x1, y1, x2, y2 | points, fill, stroke, size, shape }
+    //           fill/stroke are hex colours or null for none
+    // - cells:  pixel art cells painted with the pen/eraser { tool, color, size, cells: [[col, row], ...] }
+    // - fill:   whole layer filled with { color }
+    // - image:  pixels that weren't drawn with a tool, e.g. imported images or older project files { canvas }
+    // - text:   { text, x, y, font, size, align, style, color } (see the Text Tool)
+    function drawItem(ctx, item) {
+        if (item.type === 'stroke') {
+            // Same dabs as drawing it live
+            stampStroke(ctx, item, { segment: 0, carry: 0 }, true);
+        } else if (item.type === 'shape') {
+            drawShape(ctx, item);
+        } else if (item.type === 'cells') {
+            drawCells(ctx, item);
+        } else if (item.type === 'fill') {
+            ctx.fillStyle = item.color;
+            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        } else if (item.type === 'image') {
+            ctx.drawImage(item.canvas, 0, 0);
+        } else if (item.type === 'text') {
+            drawText(ctx, item);
+        }
     }
 
-    function startDrawing(e) {
-        // Pointer events: check for primary button (left click/pen tip)
-        if (e.isPrimary === false || e.button !== 0) return;
+    // --- Frames (Animation) ---
+    // A frame is { layers, activeLayerId }. Only the frame on screen has its layer
+    // canvases in the wrapper; the others keep theirs until they're shown again.
+    // Like layers, frames removed by a command are kept by that command for undo.
+    function showFrame(index) {
+        const frame = state.frames[index];
+        if (frame.layers !== state.layers) {
+            commitSelection(); // A floating selection goes down on the frame it came from
+            state.layers.forEach(l => l.canvas.remove());
+            frame.layers.forEach(l => canvasWrapper.appendChild(l.canvas));
+            state.layers = frame.layers;
+        }
+        state.currentFrame = index;
+        setActiveLayer(frame.activeLayerId);
+        renderFrameList();
+        drawOnionSkin();
+        scheduleNavigator();
+    }
 
-        // Prevent default scrolling/selection behavior
-        e.preventDefault();
+    function renderFrameList() {
+        framesList.innerHTML = '';
+        state.frames.forEach((frame, i) => {
+            const el = document.createElement('button');
+            el.className = `frame-item ${i === state.currentFrame ? 'active' : ''}`;
+            el.textContent = i + 1;
+            el.onclick = () => {
+                stopPlayback();
+                showFrame(i);
+            };
+            framesList.appendChild(el);
+        });
+        btnDeleteFrame.disabled = state.frames.length <= 1;
+        btnPlay.disabled = state.frames.length <= 1;
+    }
 
-        const ctx = getActiveCtx();
-        if (!ctx) return;
+    // The current frame's layer stack, either empty or with everything drawn on it
+    function copyFrame(empty) {
+        const layers = state.layers.map(layer => copyLayer(layer, layer.name, empty));
+        const active = state.layers.findIndex(l => l.id === state.activeLayerId);
+        return { layers, activeLayerId: layers[Math.max(0, active)].id };
+    }
 
-        // Find if layer is visible?
-        const layer = state.layers.find(l => l.id === state.activeLayerId);
-        if (!layer.visible) return;
+    function addFrame() {
+        commitSelection(); // A floating selection goes down first
+        placeFrame(copyFrame(true));
+    }
 
-        // Use pressure if available (future proofing), for now just position
-        // canvasWrapper.setPointerCapture(e.pointerId); // Keeps events on canvas even if moving out
+    function duplicateFrame() {
+        commitSelection(); // A floating selection goes down first
+        placeFrame(copyFrame(false));
+    }
 
-        const { x, y } = getPos(e);
-        state.isDrawing = true;
-        state.lastX = x;
-        state.lastY = y;
+    // Adds a frame right after the current one and shows it
+    function placeFrame(frame) {
+        const index = state.currentFrame + 1;
+        insertFrame(frame, index);
+        pushHistory({
+            undo: () => removeFrame(frame),
+            redo: () => insertFrame(frame, index)
+        });
+    }
+
+    function deleteFrame() {
+        commitSelection(); // A floating selection goes down first
+        if (state.frames.length <= 1) return; // Don't delete the last frame
+
+        const index = state.currentFrame;
+        const frame = state.frames[index];
+        removeFrame(frame);
+        pushHistory({
+            undo: () => insertFrame(frame, index),
+            redo: () => removeFrame(frame)
+        });
+    }
+
+    function insertFrame(frame, index) {
+        state.frames.splice(index, 0, frame);
+        showFrame(index);
+    }
+
+    function removeFrame(frame) {
+        const idx = state.frames.indexOf(frame);
+        if (idx === -1) return;
+        const shown = state.frames[state.currentFrame];
+        state.frames.splice(idx, 1);
+        if (state.frames.length <= 1) stopPlayback();
+
+        // If we removed the frame on screen, show the one before it
+        showFrame(shown === frame ? Math.max(0, idx - 1) : state.frames.indexOf(shown));
+    }
+
+    // Undo/redo happen on the frame the command was recorded on
+    function focusFrame(frame) {
+        const index = state.frames.indexOf(frame);
+        if (index !== -1 && index !== state.currentFrame) showFrame(index);
+    }
+
+    // Onion skin: the previous frame tinted red and the next one tinted blue,
+    // faintly below the current frame. Hidden while the animation plays.
+    const ONION_TINTS = [[-1, 'rgba(255, 64, 64, 0.6)'], [1, 'rgba(64, 128, 255, 0.6)']];
+    const ONION_ALPHA = 0.3;
+
+    function drawOnionSkin() {
+        const ctx = onionCanvas.getContext('2d');
+        ctx.clearRect(0, 0, onionCanvas.width, onionCanvas.height);
+        if (!state.onionSkin || state.playback) return;
+
+        ctx.globalAlpha = ONION_ALPHA;
+        ONION_TINTS.forEach(([offset, tint]) => {
+            const frame = state.frames[state.currentFrame + offset];
+            if (!frame) return;
+            const tinted = flattenToCanvas(false, frame.layers);
+            const tCtx = tinted.getContext('2d');
+            // Only tints the pixels that are there
+            tCtx.globalCompositeOperation = 'source-atop';
+            tCtx.fillStyle = tint;
+            tCtx.fillRect(0, 0, tinted.width, tinted.height);
+            ctx.drawImage(tinted, 0, 0);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    // In-app playback loops through the frames at state.fps
+    function startPlayback() {
+        if (state.playback || state.frames.length <= 1) return;
+        commitSelection(); // A floating selection goes down first
+        state.playback = setInterval(() => {
+            showFrame((state.currentFrame + 1) % state.frames.length);
+        }, 1000 / state.fps);
+        btnPlay.querySelector('i').className = 'fa-solid fa-stop';
+        drawOnionSkin();
+    }
+
+    function stopPlayback() {
+        if (!state.playback) return;
+        clearInterval(state.playback);
+        state.playback = null;
+        btnPlay.querySelector('i').className = 'fa-solid fa-play';
+        drawOnionSkin();
+    }
+
+    // --- Brush Engine ---
+    // Strokes are stamped with dabs along a Catmull-Rom spline through the recorded points.
+    // A point's pressure (pen only, 0-1) goes through the stroke's curve and then scales
+    // the dab size and/or opacity.
+    // Stamping is incremental: `cursor` holds the next segment and the distance since the
+    // last dab. A segment waits for the point after it (the spline needs it) unless `final`,
+    // so drawing live and replaying the finished stroke stamp exactly the same dabs.
+    // Pressure opacity can't be stamped straight onto the layer: with dabs this close, about
+    // seven of them overlap every pixel and their alphas add up to nearly opaque. Those strokes
+    // are stamped onto a canvas of their own (kept in `cursor.scratch`), where each dab replaces
+    // what's under it, and that canvas is composited once. A `cursor.live` stroke leaves the
+    // compositing to composeLiveStrokes(), which redraws the layer while the stroke grows.
+    const DAB_SPACING = 0.15; // Distance between dabs, as a fraction of the brush size
+
+    function stampStroke(ctx, stroke, cursor, final) {
+        if (!stroke.pressureOpacity) {
+            stampDabs(ctx, stroke, cursor, final);
+            return;
+        }
+        if (!cursor.scratch) {
+            cursor.scratch = document.createElement('canvas');
+            cursor.scratch.width = ctx.canvas.width;
+            cursor.scratch.height = ctx.canvas.height;
+        }
+        stampDabs(cursor.scratch.getContext('2d'), stroke, cursor, final);
+        if (!cursor.live) compositeStroke(ctx, stroke, cursor.scratch);
+    }
+
+    function compositeStroke(ctx, stroke, scratch) {
+        ctx.save();
+        if (stroke.tool === 'eraser') ctx.globalCompositeOperation = 'destination-out';
+        ctx.drawImage(scratch, 0, 0);
+        ctx.restore();
+    }
+
+    function stampDabs(ctx, stroke, cursor, final) {
+        const points = stroke.points;
+        const last = final ? points.length - 1 : points.length - 2;
+        if (points.length === 0 || (cursor.segment > 0 && cursor.segment > last)) return;
+
+        ctx.save();
+        if (stroke.pressureOpacity) {
+            // On the stroke's own canvas; an eraser only needs the coverage
+            ctx.fillStyle = stroke.tool === 'eraser' ? "rgba(0,0,0,1)" : stroke.color;
+        } else if (stroke.tool === 'eraser') {
+            // "Eraser" in layered mode means clearing pixels to transparency
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.fillStyle = "rgba(0,0,0,1)";
+        } else {
+            ctx.fillStyle = stroke.color;
+        }
+
+        // Starts with a dab at the first point
+        if (cursor.segment === 0) {
+            stampDab(ctx, stroke, points[0][0], points[0][1], pointPressure(points[0]));
+            cursor.segment = 1;
+        }
+        for (; cursor.segment <= last; cursor.segment++) {
+            stampSegment(ctx, stroke, cursor);
+        }
+        ctx.restore();
+    }
+
+    // Segment i runs from points[i - 1] to points[i]
+    function stampSegment(ctx, stroke, cursor) {
+        const points = stroke.points;
+        const i = cursor.segment;
+        const p1 = points[i - 1];
+        const p2 = points[i];
+        const p0 = points[i - 2] || p1;
+        const p3 = points[i + 1] || p2;
+        const pr1 = pointPressure(p1);
+        const pr2 = pointPressure(p2);
+        const spacing = Math.max(0.5, stroke.size * DAB_SPACING);
+
+        // Walk the curve in short straight pieces, dropping a dab every `spacing` px
+        const steps = Math.max(1, Math.ceil(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / 2));
+        let [px, py] = p1;
+        let pt = 0;
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            const [qx, qy] = catmullRom(p0, p1, p2, p3, t);
+            const len = Math.hypot(qx - px, qy - py);
+
+            let dist = spacing - cursor.carry;
+            while (dist <= len) {
+                const f = len === 0 ? 0 : dist / len;
+                const dabT = pt + (t - pt) * f;
+                stampDab(ctx, stroke, px + (qx - px) * f, py + (qy - py) * f, pr1 + (pr2 - pr1) * dabT);
+                dist += spacing;
+            }
+            cursor.carry = len - (dist - spacing);
+
+            px = qx;
+            py = qy;
+            pt = t;
+        }
+    }
+
+    // Uniform Catmull-Rom, the same curve as p5's curveVertex() with the default curveTightness(0)
+    function catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const at = (a, b, c, d) => 0.5 * ((2 * b) + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+        return [at(p0[0], p1[0], p2[0], p3[0]), at(p0[1], p1[1], p2[1], p3[1])];
+    }
+
+    function pointPressure(point) {
+        return point.length > 2 ? point[2] : 1;
+    }
+
+    // Dab size and opacity for a pressure value
+    function dabStyle(stroke, pressure) {
+        const p = Math.pow(pressure, stroke.pressureCurve || 1);
+        return {
+            size: stroke.pressureSize ? Math.max(0.5, stroke.size * p) : stroke.size,
+            alpha: stroke.pressureOpacity ? p : 1
+        };
+    }
+
+    function stampDab(ctx, stroke, x, y, pressure) {
+        const { size, alpha } = dabStyle(stroke, pressure);
+        const fillDab = () => {
+            if (stroke.shape === 'square') {
+                ctx.fillRect(x - size / 2, y - size / 2, size, size);
+            } else {
+                ctx.beginPath();
+                ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        };
+
+        // Pressure opacity: punch the dab's area out first so its alpha replaces the earlier ones
+        if (stroke.pressureOpacity) {
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.globalAlpha = 1;
+            fillDab();
+            ctx.globalCompositeOperation = 'source-over';
+        }
+        ctx.globalAlpha = alpha;
+        fillDab();
+    }
+
+    function drawShape(ctx, item) {
+        ctx.beginPath();
+        if (item.kind === 'line') {
+            ctx.moveTo(item.x1, item.y1);
+            ctx.lineTo(item.x2, item.y2);
+        } else if (item.kind === 'rect') {
+            const { x, y, w, h } = shapeBounds(item);
+            ctx.rect(x, y, w, h);
+        } else if (item.kind === 'ellipse') {
+            const { x, y, w, h } = shapeBounds(item);
+            ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+        } else if (item.kind === 'polygon') {
+            item.points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+            ctx.closePath();
+        }
+
+        if (item.fill && item.kind !== 'line') {
+            ctx.fillStyle = item.fill;
+            ctx.fill();
+        }
+        if (item.stroke) {
+            ctx.lineWidth = item.size;
+            ctx.lineCap = item.shape === 'square' ? 'square' : 'round';
+            ctx.lineJoin = item.shape === 'square' ? 'miter' : 'round';
+            ctx.strokeStyle = item.stroke;
+            ctx.stroke();
+        }
+    }
+
+    // Normalised { x, y, w, h } of a shape (the drag may go in any direction)
+    function shapeBounds(item) {
+        if (item.kind === 'polygon') {
+            const xs = item.points.map(p => p[0]);
+            const ys = item.points.map(p => p[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+        }
+        return {
+            x: Math.min(item.x1, item.x2),
+            y: Math.min(item.y1, item.y2),
+            w: Math.abs(item.x2 - item.x1),
+            h: Math.abs(item.y2 - item.y1)
+        };
+    }
+
+    // --- Tool Logic ---
+
+    const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'polygon'];
+
+    function switchToTool(toolName) {
+        if (state.textEdit) commitTextEdit();
+        if (state.polygonPoints.length > 0) finishPolygon();
+        if (toolName !== 'select' && (state.selection || state.selectionDrag)) commitSelection();
+        state.currentTool = toolName;
+        toolBtns.forEach(b => b.classList.remove('active'));
+        document.getElementById(`tool-${toolName}`).classList.add('active');
+        updateHandCursor();
+
+        // The selected shape only stays editable while a shape tool is active
+        if (!SHAPE_TOOLS.includes(toolName) && state.selectedShape) selectShape(null);
+    }
+
+    function startDrawing(e) {
+        // Pointer events: check for primary button (left click/pen tip)
+        if (e.isPrimary === false || e.button !== 0) return;
+
+        // Prevent default scrolling/selection behavior
+        e.preventDefault();
+        stopPlayback(); // Drawing happens on the frame that was showing
+
+        const ctx = getActiveCtx();
+        if (!ctx) return;
+
+        // Find if layer is visible?
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer.visible) return;
+        // Reference layers are locked, only the pipette works on them
+        if (layer.reference && state.currentTool !== 'pipette') return;
+
+        // Use pressure if available (future proofing), for now just position
+        // canvasWrapper.setPointerCapture(e.pointerId); // Keeps events on canvas even if moving out
+
+        const { x, y } = getPos(e);
+        state.isDrawing = true;
 
         // If pen supports pressure, we could modify size effectively here:
         // if (e.pressure && e.pointerType === 'pen') { ... }
 
-        if (state.currentTool === 'pipette') {
-            pickColorGlobal(x, y);
-            state.isDrawing = false;
-            return;
+        if (state.currentTool === 'pipette') {
+            pickColorGlobal(x, y);
+            state.isDrawing = false;
+            return;
+        }
+
+        if (state.currentTool === 'bucket') {
+            bucketFill(x, y);
+            state.isDrawing = false;
+            return;
+        }
+
+        if (SHAPE_TOOLS.includes(state.currentTool)) {
+            startShape(e, x, y);
+            return;
+        }
+
+        if (state.currentTool === 'text') {
+            startText(x, y);
+            state.isDrawing = false;
+            return;
+        }
+
+        if (state.currentTool === 'select') {
+            startSelectionDrag(x, y);
+            return;
+        }
+
+        // Alt+click moves the centre of the symmetry
+        if (e.altKey && state.symmetry.mode !== 'off') {
+            state.symmetry.center = { x, y };
+            state.isDrawing = false;
+            drawOverlay();
+            return;
+        }
+
+        const newItem = () => CONFIG.pixelSize ? {
+            type: 'cells',
+            tool: state.currentTool,
+            color: state.color,
+            size: CONFIG.pixelSize,
+            cells: []
+        } : {
+            type: 'stroke',
+            tool: state.currentTool,
+            color: state.color,
+            size: state.size,
+            shape: state.shape,
+            pressureSize: state.brush.pressureSize,
+            pressureOpacity: state.brush.pressureOpacity,
+            pressureCurve: state.brush.pressureCurve,
+            points: []
+        };
+        state.currentStrokes = symmetryMaps().map(map => ({
+            item: newItem(),
+            map,
+            cursor: { segment: 0, carry: 0, live: true },
+            lastCell: null
+        }));
+        // Pressure-opacity strokes are composited over what the layer had before them
+        state.strokeBase = !CONFIG.pixelSize && state.brush.pressureOpacity ? cloneCanvas(ctx.canvas) : null;
+
+        if (CONFIG.pixelSize) {
+            state.currentStrokes.forEach(stroke => paintCell(ctx, stroke, ...stroke.map(x, y)));
+            return;
+        }
+        draw(e);
+    }
+
+    function draw(e) {
+        if (SHAPE_TOOLS.includes(state.currentTool)) {
+            updateShapePreview(e);
+            return;
+        }
+        if (state.currentTool === 'select') {
+            updateSelectionDrag(e);
+            return;
+        }
+
+        if (!state.isDrawing) return;
+        e.preventDefault();
+
+        const ctx = getActiveCtx();
+        if (!ctx) return;
+
+        if (CONFIG.pixelSize) {
+            const { x, y } = getPos(e);
+            state.currentStrokes.forEach(stroke => paintCell(ctx, stroke, ...stroke.map(x, y)));
+            return;
+        }
+
+        // Browsers batch pointer moves per frame; the coalesced events have every sample
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (coalesced.length > 0 ? coalesced : [e]).forEach(addStrokePoint);
+
+        state.currentStrokes.forEach(stroke => stampStroke(ctx, stroke.item, stroke.cursor, false));
+        if (state.strokeBase) composeLiveStrokes(ctx);
+    }
+
+    // Redraws the layer as it was before the strokes plus their stroke canvases (see stampStroke)
+    function composeLiveStrokes(ctx) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.drawImage(state.strokeBase, 0, 0);
+        state.currentStrokes.forEach(({ item, cursor }) => {
+            if (cursor.scratch) compositeStroke(ctx, item, cursor.scratch);
+        });
+    }
+
+    function addStrokePoint(e) {
+        let { x, y } = getPos(e);
+        const points = state.currentStrokes[0].item.points;
+        const last = points[points.length - 1];
+
+        // Stabiliser: the recorded point only moves part of the way towards the pointer.
+        // The smoothed points are what gets recorded, so replaying doesn't depend on it.
+        if (last && state.brush.stabilizer > 0) {
+            const keep = state.brush.stabilizer;
+            x = last[0] + (x - last[0]) * (1 - keep);
+            y = last[1] + (y - last[1]) * (1 - keep);
+        }
+
+        // Skip repeated positions (the first draw() repeats the start point)
+        if (last && last[0] === x && last[1] === y) return;
+
+        // Only pens report real pressure; a mouse button reports a constant 0.5
+        state.currentStrokes.forEach(stroke => {
+            const [mx, my] = stroke.map(x, y);
+            stroke.item.points.push(e.pointerType === 'pen' ? [mx, my, e.pressure] : [mx, my]);
+        });
+    }
+
+    function stopDrawing(e) {
+        if (state.isDrawing && SHAPE_TOOLS.includes(state.currentTool)) {
+            state.isDrawing = false;
+            finishDragShape(e);
+            return;
+        }
+        if (state.isDrawing && state.currentTool === 'select') {
+            state.isDrawing = false;
+            finishSelectionDrag();
+            return;
+        }
+
+        if (state.isDrawing) {
+            state.isDrawing = false;
+
+            const layer = state.layers.find(l => l.id === state.activeLayerId);
+            state.currentStrokes.forEach(({ item, cursor }) => {
+                if (!layer) return;
+                if (item.type === 'cells' && item.cells.length > 0) {
+                    layer.items.push(item);
+                } else if (item.type === 'stroke' && item.points.length > 0) {
+                    // The last segment was waiting for a point after it
+                    stampStroke(layer.ctx, item, cursor, true);
+                    layer.items.push(item);
+                }
+            });
+            if (layer && state.strokeBase) composeLiveStrokes(layer.ctx);
+            state.strokeBase = null;
+            state.currentStrokes = [];
+
+            // Mirror images are part of the same undo step
+            saveHistoryState(state.activeLayerId);
+        }
+    }
+
+    // --- Symmetry ---
+    // One map per stroke drawn at the same time, the first one being the stroke
+    // under the pointer itself: (x, y) -> [x, y] in document coordinates.
+    function symmetryMaps() {
+        const { mode, count } = state.symmetry;
+        const { x: cx, y: cy } = symmetryCenter();
+        const identity = (x, y) => [x, y];
+        const mirrorX = (x, y) => [2 * cx - x, y];
+        const mirrorY = (x, y) => [x, 2 * cy - y];
+
+        if (mode === 'horizontal') return [identity, mirrorX];
+        if (mode === 'vertical') return [identity, mirrorY];
+        if (mode === 'both') return [identity, mirrorX, mirrorY, (x, y) => [2 * cx - x, 2 * cy - y]];
+        if (mode === 'radial') {
+            return Array.from({ length: count }, (_, i) => {
+                const cos = Math.cos(i * Math.PI * 2 / count);
+                const sin = Math.sin(i * Math.PI * 2 / count);
+                return i === 0 ? identity : (x, y) => [
+                    cx + (x - cx) * cos - (y - cy) * sin,
+                    cy + (x - cx) * sin + (y - cy) * cos
+                ];
+            });
+        }
+        return [identity];
+    }
+
+    function symmetryCenter() {
+        return state.symmetry.center || { x: CONFIG.width / 2, y: CONFIG.height / 2 };
+    }
+
+    // Mirror axes, or the spokes between the radial copies, through the centre
+    function drawSymmetryGuides(octx) {
+        const { mode, count } = state.symmetry;
+        if (mode === 'off') return;
+        const { x: cx, y: cy } = symmetryCenter();
+        const reach = Math.hypot(CONFIG.width, CONFIG.height);
+
+        octx.save();
+        octx.lineWidth = 1 / state.zoom;
+        octx.strokeStyle = 'rgba(6, 182, 212, 0.8)';
+        octx.setLineDash([6 / state.zoom, 4 / state.zoom]);
+        octx.beginPath();
+        if (mode === 'horizontal' || mode === 'both') {
+            octx.moveTo(cx, 0);
+            octx.lineTo(cx, CONFIG.height);
+        }
+        if (mode === 'vertical' || mode === 'both') {
+            octx.moveTo(0, cy);
+            octx.lineTo(CONFIG.width, cy);
+        }
+        if (mode === 'radial') {
+            for (let i = 0; i < count; i++) {
+                const angle = i * Math.PI * 2 / count - Math.PI / 2;
+                octx.moveTo(cx, cy);
+                octx.lineTo(cx + Math.cos(angle) * reach, cy + Math.sin(angle) * reach);
+            }
+        }
+        octx.stroke();
+
+        // The centre, which Alt+click moves
+        octx.setLineDash([]);
+        octx.beginPath();
+        octx.arc(cx, cy, 4 / state.zoom, 0, Math.PI * 2);
+        octx.stroke();
+        octx.restore();
+    }
+
+    // --- Pixel Art ---
+    // Pen and eraser paint whole cells of the grid. Fast moves skip cells, so the
+    // cells in between are filled in with a line from the previous one (Bresenham).
+    function paintCell(ctx, stroke, x, y) {
+        const item = stroke.item;
+        const col = Math.floor(x / item.size);
+        const row = Math.floor(y / item.size);
+        const from = stroke.lastCell || [col, row];
+        stroke.lastCell = [col, row];
+
+        const cols = Math.ceil(CONFIG.width / item.size);
+        const rows = Math.ceil(CONFIG.height / item.size);
+        cellLine(from, [col, row]).forEach(([c, r]) => {
+            if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+            if (item.cells.some(([pc, pr]) => pc === c && pr === r)) return;
+            item.cells.push([c, r]);
+            drawCells(ctx, { ...item, cells: [[c, r]] });
+        });
+    }
+
+    function cellLine([x0, y0], [x1, y1]) {
+        const cells = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const stepX = x0 < x1 ? 1 : -1;
+        const stepY = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+        for (;;) {
+            cells.push([x, y]);
+            if (x === x1 && y === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += stepX;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += stepY;
+            }
+        }
+        return cells;
+    }
+
+    function drawCells(ctx, item) {
+        const s = item.size;
+        ctx.fillStyle = item.color;
+        item.cells.forEach(([col, row]) => {
+            if (item.tool === 'eraser') {
+                ctx.clearRect(col * s, row * s, s, s);
+            } else {
+                ctx.fillRect(col * s, row * s, s, s);
+            }
+        });
+    }
+
+    // --- Shape Tools ---
+    // Line/rect/ellipse are dragged out; polygon vertices are placed by clicking and
+    // finished with a double-click, Enter or a click on the first vertex.
+    // Alt+click with a shape tool selects an existing shape on the active layer.
+
+    function startShape(e, x, y) {
+        if (e.altKey) {
+            state.isDrawing = false;
+            selectShape(hitTestShape(x, y));
+            return;
+        }
+
+        selectShape(null);
+
+        if (state.currentTool === 'polygon') {
+            state.isDrawing = false;
+            const points = state.polygonPoints;
+            const first = points[0];
+            const last = points[points.length - 1];
+
+            // Clicking the first vertex closes the polygon
+            if (points.length >= 3 && Math.hypot(x - first[0], y - first[1]) < 8) {
+                finishPolygon();
+                return;
+            }
+            // Double-clicks send two pointerdowns at the same spot
+            if (!last || Math.hypot(x - last[0], y - last[1]) >= 2) {
+                points.push([x, y]);
+            }
+            drawOverlay({ x, y });
+            return;
+        }
+
+        state.shapeStart = { x, y };
+    }
+
+    function updateShapePreview(e) {
+        if (state.isDrawing && state.shapeStart) {
+            e.preventDefault();
+            drawOverlay(getPos(e), e.shiftKey);
+        } else if (state.polygonPoints.length > 0) {
+            drawOverlay(getPos(e));
+        }
+    }
+
+    function finishDragShape(e) {
+        if (!state.shapeStart) return;
+        const item = buildDragShape(getPos(e), e.shiftKey);
+        state.shapeStart = null;
+
+        // A click without a drag doesn't place anything
+        const { w, h } = shapeBounds(item);
+        if (w < 1 && h < 1) {
+            drawOverlay();
+            return;
+        }
+        commitShape(item);
+    }
+
+    function finishPolygon() {
+        const points = state.polygonPoints;
+        state.polygonPoints = [];
+        if (points.length >= 3) {
+            commitShape(createShapeItem('polygon', { points }));
+        } else {
+            drawOverlay();
+        }
+    }
+
+    function cancelShape() {
+        state.isDrawing = false;
+        state.shapeStart = null;
+        state.polygonPoints = [];
+        selectShape(null);
+    }
+
+    function createShapeItem(kind, geometry) {
+        return {
+            type: 'shape',
+            kind,
+            ...geometry,
+            fill: state.fillEnabled ? state.fillColor : null,
+            // A line without stroke would be invisible
+            stroke: state.strokeEnabled || kind === 'line' ? state.color : null,
+            size: state.size,
+            shape: state.shape
+        };
+    }
+
+    // Shift keeps rects/ellipses square and snaps lines to 45 degrees
+    function buildDragShape(pos, constrain) {
+        const { x: x1, y: y1 } = state.shapeStart;
+        let { x: x2, y: y2 } = pos;
+
+        if (constrain) {
+            const dx = x2 - x1;
+            const dy = y2 - y1;
+            if (state.currentTool === 'line') {
+                const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+                const len = Math.hypot(dx, dy);
+                x2 = x1 + Math.cos(angle) * len;
+                y2 = y1 + Math.sin(angle) * len;
+            } else {
+                const side = Math.max(Math.abs(dx), Math.abs(dy));
+                x2 = x1 + Math.sign(dx) * side;
+                y2 = y1 + Math.sign(dy) * side;
+            }
+        }
+
+        return createShapeItem(state.currentTool, { x1, y1, x2, y2 });
+    }
+
+    function commitShape(item) {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        layer.items.push(item);
+        drawItem(layer.ctx, item);
+        saveHistoryState(layer.id);
+        selectShape(item);
+    }
+
+    // Topmost shape on the active layer whose bounds contain the point
+    function hitTestShape(x, y) {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        for (let i = layer.items.length - 1; i >= 0; i--) {
+            const item = layer.items[i];
+            if (item.type !== 'shape') continue;
+            const b = shapeBounds(item);
+            const margin = item.size / 2 + 2;
+            if (x >= b.x - margin && x <= b.x + b.w + margin && y >= b.y - margin && y <= b.y + b.h + margin) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    function selectShape(item) {
+        state.selectedShape = item;
+
+        // Show the shape's settings in the property controls
+        if (item) {
+            if (item.stroke) {
+                state.color = item.stroke;
+                colorPicker.value = item.stroke;
+            }
+            state.size = item.size;
+            sizeSlider.value = item.size;
+            sizeDisplay.textContent = item.size;
+            state.shape = item.shape;
+            brushShape.value = item.shape;
+            state.fillEnabled = !!item.fill;
+            fillToggle.checked = state.fillEnabled;
+            if (item.fill) {
+                state.fillColor = item.fill;
+                fillPicker.value = item.fill;
+            }
+            state.strokeEnabled = !!item.stroke;
+            strokeToggle.checked = state.strokeEnabled;
+        }
+
+        drawOverlay();
+    }
+
+    // Items are replaced rather than mutated, since history entries share them
+    function editSelectedShape(changes, record) {
+        const item = state.selectedShape;
+        if (!item) return;
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        const idx = layer.items.indexOf(item);
+        if (idx === -1) return;
+
+        const edited = { ...item, ...changes };
+        if (edited.kind === 'line' && !edited.stroke) edited.stroke = state.color;
+        layer.items[idx] = edited;
+        state.selectedShape = edited;
+
+        renderLayer(layer);
+        drawOverlay();
+        if (record) saveHistoryState(layer.id);
+    }
+
+    function deleteSelectedShape() {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        layer.items = layer.items.filter(item => item !== state.selectedShape);
+        renderLayer(layer);
+        saveHistoryState(layer.id);
+        selectShape(null);
+    }
+
+    // Redraws the overlay: selected shape outline, rubber-band preview, polygon in progress.
+    // `pos` is the current pointer position, if any.
+    function drawOverlay(pos, constrain) {
+        const octx = overlay.getContext('2d');
+        octx.clearRect(0, 0, overlay.width, overlay.height);
+        drawSymmetryGuides(octx);
+        drawSelectionOverlay(octx);
+
+        if (state.selectedShape) {
+            const { x, y, w, h } = shapeBounds(state.selectedShape);
+            const pad = state.selectedShape.size / 2 + 2;
+            octx.save();
+            octx.setLineDash([4, 4]);
+            octx.lineWidth = 1;
+            octx.strokeStyle = '#3b82f6';
+            octx.strokeRect(x - pad, y - pad, w + pad * 2, h + pad * 2);
+            octx.restore();
+        }
+
+        if (!pos) return;
+
+        if (state.shapeStart) {
+            drawShape(octx, buildDragShape(pos, constrain));
+        } else if (state.polygonPoints.length > 0) {
+            const points = [...state.polygonPoints, [pos.x, pos.y]];
+            if (points.length < 3) {
+                const [[x1, y1]] = points;
+                drawShape(octx, createShapeItem('line', { x1, y1, x2: pos.x, y2: pos.y }));
+            } else {
+                drawShape(octx, createShapeItem('polygon', { points }));
+            }
+
+            octx.fillStyle = '#3b82f6';
+            state.polygonPoints.forEach(([px, py]) => octx.fillRect(px - 3, py - 3, 6, 6));
+        }
+    }
+
+    // --- View (zoom, pan, rotation) ---
+    // The canvas sits in the middle of the workspace, moved by state.pan (screen px) and
+    // turned by state.rotation around its middle. Zoom still sizes the wrapper, so the
+    // layer canvases are scaled by the browser. Only the view changes: the drawing and
+    // the generated code stay as they are.
+    // Ctrl+wheel (a trackpad pinch sends it too) and two-finger pinch zoom around the
+    // cursor; the wheel, the hand tool, space + drag and the middle button pan.
+    const MIN_ZOOM = 0.1;
+    const MAX_ZOOM = 32;
+    const ZOOM_STEP = 1.25; // Factor of the zoom buttons
+    const WHEEL_ZOOM_SPEED = 0.002; // Per px of wheel delta
+    const ROTATION_STEP = 15; // Degrees
+    const VIEW_MARGIN = 40; // Screen px of the canvas that stay in view when panning away
+    const NAVIGATOR_SIZE = 200; // Longer side of the navigator thumbnail
+    const NAVIGATOR_DELAY = 300; // ms after the last change before the thumbnail is redrawn
+    let navigatorThumb = null; // The drawing at navigator size
+
+    function getPos(e) {
+        const { x, y } = screenToDocument(e.clientX, e.clientY);
+
+        // Pixel art snaps to the centre of the cell under the pointer
+        const s = CONFIG.pixelSize;
+        if (s) {
+            return {
+                x: (Math.floor(x / s) + 0.5) * s,
+                y: (Math.floor(y / s) + 0.5) * s
+            };
+        }
+        return { x, y };
+    }
+
+    // Client coordinates -> document coordinates, undoing the zoom, pan and rotation.
+    // At any angle the middle of the wrapper's bounding box is the middle of the canvas.
+    function screenToDocument(clientX, clientY) {
+        const rect = canvasWrapper.getBoundingClientRect();
+        const dx = clientX - (rect.left + rect.width / 2);
+        const dy = clientY - (rect.top + rect.height / 2);
+        const [x, y] = rotateVector(dx, dy, -state.rotation);
+        return {
+            x: x / state.zoom + CONFIG.width / 2,
+            y: y / state.zoom + CONFIG.height / 2
+        };
+    }
+
+    function rotateVector(x, y, degrees) {
+        const a = degrees * Math.PI / 180;
+        return [x * Math.cos(a) - y * Math.sin(a), x * Math.sin(a) + y * Math.cos(a)];
+    }
+
+    // `anchor` ({ x, y } client coordinates, e.g. the cursor) stays over the same point
+    // of the drawing; without one, the middle of the workspace does
+    function updateZoom(newZoom, anchor) {
+        const zoom = Math.max(MIN_ZOOM, Math.min(newZoom, MAX_ZOOM));
+        const area = workspace.getBoundingClientRect();
+        const ax = anchor ? anchor.x - (area.left + area.width / 2) : 0;
+        const ay = anchor ? anchor.y - (area.top + area.height / 2) : 0;
+        // The anchor's distance to the middle of the canvas grows with the zoom
+        const factor = zoom / state.zoom;
+        state.pan.x = ax - (ax - state.pan.x) * factor;
+        state.pan.y = ay - (ay - state.pan.y) * factor;
+        state.zoom = zoom;
+
+        canvasWrapper.style.width = `${CONFIG.width * zoom}px`;
+        canvasWrapper.style.height = `${CONFIG.height * zoom}px`;
+        canvasWrapper.classList.toggle('zoomed-in', zoom > 1);
+        zoomDisplay.textContent = `${Math.round(zoom * 100)}%`;
+
+        // The cell grid only shows once the cells are big enough on screen
+        const cell = CONFIG.pixelSize * zoom;
+        pixelGrid.classList.toggle('hidden', cell < 8);
+        pixelGrid.style.backgroundSize = `${cell}px ${cell}px`;
+        applyView();
+        layoutTextEditor();
+    }
+
+    function pickColorGlobal(x, y) {
+        // Need to flatten layers to pick color?
+        // Or just pick from top-most visible non-transparent pixel.
+        // For performance, let's just create a temporary canvas 1x1
+        const tempC = document.createElement('canvas');
+        tempC.width = 1;
+        tempC.height = 1;
+        const tCtx = tempC.getContext('2d');
+        drawComposite(tCtx, true, sampledLayers(state.layers, state.pipette.sampleReferences), x, y, 1, 1, 0, 0, 1, 1);
+
+        const data = tCtx.getImageData(0, 0, 1, 1).data;
+        const hex = rgbToHex(data[0], data[1], data[2]);
+        state.color = hex;
+        colorPicker.value = hex;
+        switchToTool('pen');
+    }
+
+    function rgbToHex(r, g, b) {
+        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    }
+
+    // Turns the view around the middle of the workspace; -180 < degrees <= 180
+    function rotateView(degrees) {
+        const rotation = 180 - ((180 - degrees) % 360 + 360) % 360;
+        [state.pan.x, state.pan.y] = rotateVector(state.pan.x, state.pan.y, rotation - state.rotation);
+        state.rotation = rotation;
+        applyView();
+    }
+
+    // The whole canvas in view, at its current angle
+    function fitView() {
+        const area = workspace.getBoundingClientRect();
+        const [cos, sin] = [Math.cos, Math.sin].map(f => Math.abs(f(state.rotation * Math.PI / 180)));
+        const width = CONFIG.width * cos + CONFIG.height * sin;
+        const height = CONFIG.width * sin + CONFIG.height * cos;
+        state.pan = { x: 0, y: 0 };
+        updateZoom(Math.min((area.width - VIEW_MARGIN * 2) / width, (area.height - VIEW_MARGIN * 2) / height));
+    }
+
+    function applyView() {
+        // Some of the canvas stays in view, however far it's panned
+        const area = workspace.getBoundingClientRect();
+        const maxX = Math.max(0, (area.width + CONFIG.width * state.zoom) / 2 - VIEW_MARGIN);
+        const maxY = Math.max(0, (area.height + CONFIG.height * state.zoom) / 2 - VIEW_MARGIN);
+        state.pan.x = Math.max(-maxX, Math.min(state.pan.x, maxX));
+        state.pan.y = Math.max(-maxY, Math.min(state.pan.y, maxY));
+
+        canvasWrapper.style.transform =
+            `translate(-50%, -50%) translate(${state.pan.x}px, ${state.pan.y}px) rotate(${state.rotation}deg)`;
+        rotationDisplay.textContent = `${state.rotation}°`;
+        drawNavigator();
+    }
+
+    // Dragging the view: hand tool, space + drag or the middle button
+    function startPan(e) {
+        state.panDrag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+        workspace.classList.add('panning');
+    }
+
+    function movePan(e) {
+        const drag = state.panDrag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        state.pan.x += e.clientX - drag.x;
+        state.pan.y += e.clientY - drag.y;
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        applyView();
+    }
+
+    function endPan(e) {
+        if (!state.panDrag || e.pointerId !== state.panDrag.pointerId) return;
+        state.panDrag = null;
+        workspace.classList.remove('panning');
+    }
+
+    function updateHandCursor() {
+        workspace.classList.toggle('hand', state.spaceHeld || state.currentTool === 'hand');
+    }
+
+    // Two fingers zoom by how far apart they move and pan with their midpoint
+    function pinchGesture() {
+        const [a, b] = [...state.touches.values()];
+        return {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    function movePinch(e) {
+        if (!state.touches.has(e.pointerId)) return;
+        state.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (!state.pinch) return;
+        const gesture = pinchGesture();
+        state.pan.x += gesture.x - state.pinch.x;
+        state.pan.y += gesture.y - state.pinch.y;
+        updateZoom(state.zoom * gesture.distance / state.pinch.distance, gesture);
+        state.pinch = gesture;
+    }
+
+    function endTouch(e) {
+        state.touches.delete(e.pointerId);
+        if (state.touches.size < 2) state.pinch = null;
+    }
+
+    // Redraws the navigator thumbnail a moment after the drawing last changed
+    function scheduleNavigator() {
+        clearTimeout(state.navigatorTimer);
+        state.navigatorTimer = setTimeout(refreshNavigator, NAVIGATOR_DELAY);
+    }
+
+    function refreshNavigator() {
+        state.navigatorTimer = null;
+        const scale = NAVIGATOR_SIZE / Math.max(CONFIG.width, CONFIG.height);
+        const width = Math.max(1, Math.round(CONFIG.width * scale));
+        const height = Math.max(1, Math.round(CONFIG.height * scale));
+        navigatorThumb = document.createElement('canvas');
+        navigatorThumb.width = width;
+        navigatorThumb.height = height;
+        drawComposite(navigatorThumb.getContext('2d'), true, state.layers,
+            0, 0, CONFIG.width, CONFIG.height, 0, 0, width, height);
+        navigatorCanvas.width = width;
+        navigatorCanvas.height = height;
+        drawNavigator();
+    }
+
+    // The thumbnail with the part of the drawing that's in the workspace outlined
+    function drawNavigator() {
+        if (!navigatorThumb) return;
+        const ctx = navigatorCanvas.getContext('2d');
+        ctx.clearRect(0, 0, navigatorCanvas.width, navigatorCanvas.height);
+        ctx.drawImage(navigatorThumb, 0, 0);
+
+        const area = workspace.getBoundingClientRect();
+        const s = navigatorCanvas.width / CONFIG.width;
+        const corners = [[area.left, area.top], [area.right, area.top], [area.right, area.bottom], [area.left, area.bottom]]
+            .map(([x, y]) => screenToDocument(x, y));
+        ctx.save();
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        corners.forEach(({ x, y }, i) => i === 0 ? ctx.moveTo(x * s, y * s) : ctx.lineTo(x * s, y * s));
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Puts the point of the drawing under the pointer in the middle of the workspace
+    function panToNavigator(e) {
+        const rect = navigatorCanvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width * CONFIG.width;
+        const y = (e.clientY - rect.top) / rect.height * CONFIG.height;
+        const [dx, dy] = rotateVector((x - CONFIG.width / 2) * state.zoom, (y - CONFIG.height / 2) * state.zoom, state.rotation);
+        state.pan = { x: -dx, y: -dy };
+        applyView();
+    }
+
+    // --- Text Tool ---
+    // A click places a text item on the active layer and opens an editor over it;
+    // clicking text that's already there edits it. (x, y) is where p5's text() puts
+    // it: the baseline of the first line, at its left edge, centre or right edge
+    // depending on align. Lines are 1.25 × size apart, p5's default textLeading().
+    // Ctrl+Enter or clicking elsewhere puts the text down, Escape cancels, and
+    // emptying the text removes it.
+    const TEXT_LEADING = 1.25;
+    const TEXT_ALIGNS = ['left', 'center', 'right'];
+    const TEXT_STYLES = ['normal', 'bold', 'italic', 'bolditalic'];
+    const FONT_FILE_TYPES = /\.(ttf|otf|woff)$/i;
+    const textMeasure = document.createElement('canvas').getContext('2d');
+    const loadedFonts = new WeakSet(); // Uploaded fonts already added to document.fonts
+
+    function startText(x, y) {
+        // A click outside the open editor only puts its text down
+        if (state.textEdit) {
+            commitTextEdit();
+            return;
+        }
+
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        const item = hitTestText(layer, x, y);
+        const index = item ? layer.items.indexOf(item) : layer.items.length;
+        if (item) {
+            // The controls show its settings, which it keeps unless they're changed
+            state.text = { font: item.font, size: item.size, align: item.align, style: item.style };
+            state.color = item.color;
+            colorPicker.value = item.color;
+            syncTextControls();
+            // It's hidden while it's in the editor
+            layer.items = layer.items.filter(i => i !== item);
+            renderLayer(layer);
+        }
+
+        state.textEdit = { layer, item, index, x: item ? item.x : x, y: item ? item.y : y };
+        textEditor.value = item ? item.text : '';
+        textEditor.classList.remove('hidden');
+        layoutTextEditor();
+        textEditor.focus();
+    }
+
+    // Puts the edited text on its layer as a new item (one history entry)
+    function commitTextEdit() {
+        const edit = state.textEdit;
+        if (!edit) return;
+        state.textEdit = null;
+        textEditor.classList.add('hidden');
+        textEditor.blur();
+
+        const { layer, index } = edit;
+        const text = textEditor.value.replace(/\s+$/, '');
+        if (text) {
+            const item = { type: 'text', text, x: edit.x, y: edit.y, ...state.text, color: state.color };
+            layer.items = [...layer.items.slice(0, index), item, ...layer.items.slice(index)];
+        }
+        renderLayer(layer);
+        saveHistoryState(layer.id);
+    }
+
+    // Closes the editor, leaving the text as it was
+    function cancelTextEdit() {
+        const edit = state.textEdit;
+        if (!edit) return;
+        state.textEdit = null;
+        textEditor.classList.add('hidden');
+        textEditor.blur();
+
+        const { layer, item, index } = edit;
+        if (item) {
+            layer.items = [...layer.items.slice(0, index), item, ...layer.items.slice(index)];
+            renderLayer(layer);
+        }
+    }
+
+    function setTextOption(key, value) {
+        state.text = { ...state.text, [key]: value };
+        layoutTextEditor();
+        // Back to typing after using a control
+        if (state.textEdit) textEditor.focus();
+    }
+
+    function syncTextControls() {
+        textFontSelect.value = state.text.font;
+        textSizeInput.value = state.text.size;
+        textAlignSelect.value = state.text.align;
+        textStyleSelect.value = state.text.style;
+    }
+
+    // CSS font for the canvas, the way p5 builds it: style, size and family, quoted when it has spaces
+    function canvasFont({ font, size, style }) {
+        const variant = { normal: 'normal', bold: 'bold', italic: 'italic', bolditalic: 'italic bold' }[style];
+        return `${variant} ${size}px ${/\s/.test(font) ? `"${font}"` : font}`;
+    }
+
+    function drawText(ctx, item) {
+        ctx.save();
+        ctx.font = canvasFont(item);
+        ctx.fillStyle = item.color;
+        ctx.textAlign = item.align;
+        ctx.textBaseline = 'alphabetic';
+        item.text.split('\n').forEach((line, i) => {
+            ctx.fillText(line, item.x, item.y + i * item.size * TEXT_LEADING);
+        });
+        ctx.restore();
+    }
+
+    // Box around the text, from the top of its first line to below its last baseline
+    function textBounds(item) {
+        const lines = item.text.split('\n');
+        textMeasure.font = canvasFont(item);
+        const w = Math.max(...lines.map(line => textMeasure.measureText(line).width));
+        const x = item.align === 'center' ? item.x - w / 2 : item.align === 'right' ? item.x - w : item.x;
+        const h = item.size * ((lines.length - 1) * TEXT_LEADING + 1.25);
+        return { x, y: item.y - item.size, w, h };
+    }
+
+    // Topmost text item of the layer under the point
+    function hitTestText(layer, x, y) {
+        const margin = 4;
+        for (let i = layer.items.length - 1; i >= 0; i--) {
+            const item = layer.items[i];
+            if (item.type !== 'text') continue;
+            const b = textBounds(item);
+            if (x >= b.x - margin && x <= b.x + b.w + margin && y >= b.y - margin && y <= b.y + b.h + margin) return item;
+        }
+        return null;
+    }
+
+    // Puts the editor over the text, at the zoom of the canvas, in the current settings
+    function layoutTextEditor() {
+        const edit = state.textEdit;
+        if (!edit) return;
+        const { size, align } = state.text;
+        const zoom = state.zoom;
+        const lines = textEditor.value.split('\n');
+        textMeasure.font = canvasFont(state.text);
+        // Wide enough for the caret after the last letter
+        const width = Math.max(...lines.map(line => textMeasure.measureText(line).width)) + size / 2;
+        const left = align === 'center' ? edit.x - width / 2 : align === 'right' ? edit.x - width : edit.x;
+        Object.assign(textEditor.style, {
+            font: canvasFont({ ...state.text, size: size * zoom }), // Sets line-height too, so it comes first
+            lineHeight: TEXT_LEADING,
+            left: `${left * zoom}px`,
+            // The first line box is 1.25 × size high, with the baseline about size from its top
+            top: `${(edit.y - size) * zoom}px`,
+            width: `${width * zoom}px`,
+            height: `${size * (lines.length * TEXT_LEADING) * zoom}px`,
+            textAlign: align,
+            color: state.color
+        });
+    }
+
+    // Uploaded fonts are kept in the document as data URLs and saved with it. The
+    // family comes from the file name, and the sketch loads the font with loadFont()
+    // from a file next to it (see addUploadedFonts).
+    function uploadFont(file) {
+        const ext = file.name.match(FONT_FILE_TYPES);
+        if (!ext) {
+            alert("Fonts can be TTF, OTF or WOFF files.");
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            const family = file.name.replace(FONT_FILE_TYPES, '').replace(/[^\p{L}\p{N} _-]/gu, '').trim() || 'Uploaded font';
+            const font = { family, file: `${family.replace(/ /g, '_')}${ext[0].toLowerCase()}`, data: reader.result };
+            // A font of the same family is replaced
+            state.fonts = state.fonts.filter(f => f.family !== family).concat([font]);
+            registerFonts([font]);
+            renderFontOptions();
+            textFontSelect.value = family;
+            setTextOption('font', family);
+            scheduleAutosave();
+        };
+        reader.readAsDataURL(file);
+    }
+
+    // Makes uploaded fonts usable on the canvas, then redraws the text that uses them
+    function registerFonts(fonts) {
+        if (!window.FontFace) return;
+        const added = fonts.filter(font => !loadedFonts.has(font));
+        if (added.length === 0) return;
+        added.forEach(font => loadedFonts.add(font));
+        Promise.all(added.map(font => new FontFace(font.family, `url(${font.data})`).load()
+            .then(face => document.fonts.add(face))
+            .catch(err => console.error(`Font ${font.file} couldn't be loaded`, err))
+        )).then(() => {
+            const families = added.map(font => font.family);
+            state.frames.forEach(frame => frame.layers.forEach(layer => {
+                if (!layer.items.some(item => item.type === 'text' && families.includes(item.font))) return;
+                renderLayer(layer);
+                resetHistoryBase(layer);
+            }));
+        });
+    }
+
+    // Options of the uploaded fonts in the font menu
+    function renderFontOptions() {
+        textFontUploads.innerHTML = '';
+        state.fonts.forEach(font => {
+            const option = document.createElement('option');
+            option.value = font.family;
+            option.textContent = font.family;
+            textFontUploads.appendChild(option);
+        });
+        textFontSelect.value = state.text.font;
+    }
+
+    // --- Selection ---
+    // The select tool drags out a rectangle or a lasso on the active layer.
+    // Moving, scaling, rotating or flipping lifts the pixels inside it into a floating
+    // canvas, leaving a hole in the layer. While floating, the layer shows `under` (the
+    // layer with the hole) plus the transformed pixels and nothing is recorded yet:
+    // commitSelection() turns the whole transform into one history entry.
+    // state.selection: { path, bounds, transform, floating }
+    //   path:      outline as drawn, [[x, y], ...]
+    //   bounds:    integer bounds of the path { x, y, w, h }
+    //   transform: { dx, dy, sx, sy, angle } around the centre of bounds
+    //   floating:  null, or { layer, canvas, under, before, pasted } once lifted or pasted
+    const HANDLE_SIZE = 8; // Screen px, whatever the zoom
+
+    function createSelection(path, floating) {
+        const xs = path.map(p => p[0]);
+        const ys = path.map(p => p[1]);
+        const x = Math.floor(Math.min(...xs));
+        const y = Math.floor(Math.min(...ys));
+        return {
+            path,
+            bounds: { x, y, w: Math.ceil(Math.max(...xs)) - x, h: Math.ceil(Math.max(...ys)) - y },
+            transform: { dx: 0, dy: 0, sx: 1, sy: 1, angle: 0 },
+            floating
+        };
+    }
+
+    // Document position of a point given in the selection's untransformed coordinates
+    function selectionPoint(sel, x, y) {
+        const { bounds: b, transform: t } = sel;
+        const cx = b.x + b.w / 2;
+        const cy = b.y + b.h / 2;
+        const px = (x - cx) * t.sx;
+        const py = (y - cy) * t.sy;
+        const cos = Math.cos(t.angle);
+        const sin = Math.sin(t.angle);
+        return [cx + t.dx + px * cos - py * sin, cy + t.dy + px * sin + py * cos];
+    }
+
+    // Document position relative to the transformed centre, rotated back (but still scaled)
+    function selectionLocal(sel, x, y) {
+        const [cx, cy] = selectionPoint(sel, sel.bounds.x + sel.bounds.w / 2, sel.bounds.y + sel.bounds.h / 2);
+        const cos = Math.cos(sel.transform.angle);
+        const sin = Math.sin(sel.transform.angle);
+        return [(x - cx) * cos + (y - cy) * sin, -(x - cx) * sin + (y - cy) * cos];
+    }
+
+    function transformedPath(sel) {
+        return sel.path.map(([x, y]) => selectionPoint(sel, x, y));
+    }
+
+    function applySelectionTransform(ctx, sel) {
+        const { bounds: b, transform: t } = sel;
+        ctx.imageSmoothingEnabled = !CONFIG.pixelSize; // Pixel art stays crisp
+        ctx.translate(b.x + b.w / 2 + t.dx, b.y + b.h / 2 + t.dy);
+        ctx.rotate(t.angle);
+        ctx.scale(t.sx, t.sy);
+        ctx.translate(-b.w / 2, -b.h / 2);
+    }
+
+    function tracePath(ctx, path, offsetX, offsetY) {
+        ctx.beginPath();
+        path.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x + offsetX, y + offsetY);
+            else ctx.lineTo(x + offsetX, y + offsetY);
+        });
+        ctx.closePath();
+    }
+
+    // Ray casting: odd number of edge crossings to the right means inside
+    function pointInPolygon(path, x, y) {
+        let inside = false;
+        for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+            const [xi, yi] = path[i];
+            const [xj, yj] = path[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Four corner handles (scale) and one above the top edge (rotate)
+    function selectionHandles(sel) {
+        const { x, y, w, h } = sel.bounds;
+        const handles = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([hx, hy]) => {
+            const [px, py] = selectionPoint(sel, x + w / 2 + hx * w / 2, y + h / 2 + hy * h / 2);
+            return { kind: 'scale', hx, hy, x: px, y: py };
+        });
+
+        const { angle, sy } = sel.transform;
+        const [tx, ty] = selectionPoint(sel, x + w / 2, y);
+        const offset = Math.sign(sy) * 20 / state.zoom;
+        handles.push({ kind: 'rotate', x: tx + Math.sin(angle) * offset, y: ty - Math.cos(angle) * offset });
+        return handles;
+    }
+
+    // Outline of the rectangle/lasso being dragged out, kept inside the document
+    function marqueePath(drag) {
+        const clamp = ([x, y]) => [Math.max(0, Math.min(x, CONFIG.width)), Math.max(0, Math.min(y, CONFIG.height))];
+        if (drag.shape === 'lasso') return drag.points.map(clamp);
+
+        let [x1, y1] = clamp(drag.points[0]).map(Math.round);
+        let [x2, y2] = clamp(drag.points[drag.points.length - 1]).map(Math.round);
+        // In pixel art both end cells are included
+        const s = CONFIG.pixelSize;
+        if (s) {
+            [x1, x2] = [Math.floor(Math.min(x1, x2) / s) * s, Math.min(CONFIG.width, (Math.floor(Math.max(x1, x2) / s) + 1) * s)];
+            [y1, y2] = [Math.floor(Math.min(y1, y2) / s) * s, Math.min(CONFIG.height, (Math.floor(Math.max(y1, y2) / s) + 1) * s)];
+        }
+        return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    }
+
+    // Pointer down with the select tool: a handle or the inside of the selection starts
+    // a transform, anywhere else starts a new selection
+    function startSelectionDrag(x, y) {
+        const sel = state.selection;
+        if (sel) {
+            const radius = Math.max(HANDLE_SIZE / state.zoom, CONFIG.pixelSize); // Pixel art positions snap to cells
+            const handle = selectionHandles(sel).find(h => Math.hypot(x - h.x, y - h.y) <= radius);
+            if (handle || pointInPolygon(transformedPath(sel), x, y)) {
+                if (!liftSelection()) return;
+                state.selectionDrag = {
+                    mode: handle ? handle.kind : 'move',
+                    handle,
+                    start: { x, y },
+                    transform: { ...sel.transform }
+                };
+                return;
+            }
+            commitSelection();
+        }
+
+        state.selectionDrag = { mode: 'marquee', shape: state.selectionShape, points: [[x, y]] };
+        drawOverlay();
+    }
+
+    function updateSelectionDrag(e) {
+        const drag = state.selectionDrag;
+        if (!state.isDrawing || !drag) return;
+        e.preventDefault();
+        const { x, y } = getPos(e);
+
+        if (drag.mode === 'marquee') {
+            const last = drag.points[drag.points.length - 1];
+            if (drag.shape === 'rect') {
+                drag.points = [drag.points[0], [x, y]];
+            } else if (Math.hypot(x - last[0], y - last[1]) >= 2) {
+                drag.points.push([x, y]);
+            }
+            drawOverlay();
+            return;
+        }
+
+        const sel = state.selection;
+        const t = sel.transform;
+        const start = drag.transform;
+        if (drag.mode === 'move') {
+            t.dx = start.dx + x - drag.start.x;
+            t.dy = start.dy + y - drag.start.y;
+        } else if (drag.mode === 'scale') {
+            // Scales around the centre; dragging past it flips. Shift keeps the proportions.
+            const [lx, ly] = selectionLocal(sel, x, y);
+            let sx = lx / (drag.handle.hx * sel.bounds.w / 2);
+            let sy = ly / (drag.handle.hy * sel.bounds.h / 2);
+            if (e.shiftKey) {
+                const s = Math.max(Math.abs(sx), Math.abs(sy));
+                sx = (sx < 0 ? -1 : 1) * s;
+                sy = (sy < 0 ? -1 : 1) * s;
+            }
+            // Zero would make the transform impossible to invert
+            t.sx = (sx < 0 ? -1 : 1) * Math.max(Math.abs(sx), 0.01);
+            t.sy = (sy < 0 ? -1 : 1) * Math.max(Math.abs(sy), 0.01);
+        } else if (drag.mode === 'rotate') {
+            // Shift snaps to 15 degrees
+            const [cx, cy] = selectionPoint(sel, sel.bounds.x + sel.bounds.w / 2, sel.bounds.y + sel.bounds.h / 2);
+            let angle = start.angle + Math.atan2(y - cy, x - cx) - Math.atan2(drag.start.y - cy, drag.start.x - cx);
+            if (e.shiftKey) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+            t.angle = angle;
+        }
+        renderFloating();
+        drawOverlay();
+    }
+
+    function finishSelectionDrag() {
+        const drag = state.selectionDrag;
+        state.selectionDrag = null;
+
+        // A click without a drag just deselects
+        if (drag && drag.mode === 'marquee') {
+            const path = marqueePath(drag);
+            const sel = path.length >= 3 ? createSelection(path, null) : null;
+            state.selection = sel && sel.bounds.w >= 1 && sel.bounds.h >= 1 ? sel : null;
+        }
+        drawOverlay();
+    }
+
+    // Moves the pixels inside the selection off the active layer into a floating canvas.
+    // Every selection change goes through here, so this is where reference layers stay
+    // locked: false when there's nothing that may float.
+    function liftSelection() {
+        const sel = state.selection;
+        if (!sel) return false;
+        if (sel.floating) return true;
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer || layer.reference) return false;
+        const { x, y, w, h } = sel.bounds;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        tracePath(ctx, sel.path, -x, -y);
+        ctx.clip();
+        ctx.drawImage(layer.canvas, -x, -y);
+
+        const before = cloneCanvas(layer.canvas);
+        layer.ctx.save();
+        layer.ctx.globalCompositeOperation = 'destination-out';
+        tracePath(layer.ctx, sel.path, 0, 0);
+        layer.ctx.fill();
+        layer.ctx.restore();
+
+        sel.floating = { layer, canvas, under: cloneCanvas(layer.canvas), before, pasted: false };
+        return true;
+    }
+
+    // Redraws the floating layer: what's under the selection plus the transformed pixels
+    function renderFloating() {
+        const sel = state.selection;
+        if (!sel || !sel.floating) return;
+        const { layer, canvas, under } = sel.floating;
+
+        layer.ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
+        layer.ctx.drawImage(under, 0, 0);
+        if (canvas) {
+            layer.ctx.save();
+            applySelectionTransform(layer.ctx, sel);
+            layer.ctx.drawImage(canvas, 0, 0);
+            layer.ctx.restore();
+        }
+    }
+
+    // Puts a floating selection down for good (one history entry) and deselects.
+    // The moved or pasted pixels are added as an image item. Lifted pixels also leave a
+    // hole that items can't express: the items from the first one that reaches into the
+    // selection on are redrawn as that image, with the hole, and the ones below stay.
+    function commitSelection() {
+        const sel = state.selection;
+        state.selection = null;
+        state.selectionDrag = null;
+        if (sel && sel.floating) {
+            const { layer, canvas, before, pasted, newLayer } = sel.floating;
+            const { dx, dy, sx, sy, angle } = sel.transform;
+            const unchanged = canvas && dx === 0 && dy === 0 && sx === 1 && sy === 1 && angle === 0;
+
+            if (newLayer && !canvas) {
+                removeLayer(layer); // Pasted and then deleted, the layer never happened
+            } else if ((unchanged && !pasted) || (!canvas && pasted)) {
+                restoreCanvas(layer, before);
+            } else {
+                const image = document.createElement('canvas');
+                image.width = CONFIG.width;
+                image.height = CONFIG.height;
+                const ctx = image.getContext('2d');
+                let kept = layer.items.length;
+                if (!pasted) {
+                    kept = layer.items.findIndex(item => itemReaches(item, sel.bounds));
+                    if (kept === -1) kept = layer.items.length;
+                    // An eraser would also have erased the items kept below it
+                    if (layer.items.slice(kept).some(item => item.tool === 'eraser')) kept = 0;
+                    layer.items.slice(kept).forEach(item => drawItem(ctx, item));
+                    ctx.save();
+                    ctx.globalCompositeOperation = 'destination-out';
+                    tracePath(ctx, sel.path, 0, 0);
+                    ctx.fill();
+                    ctx.restore();
+                }
+                if (canvas) {
+                    ctx.save();
+                    applySelectionTransform(ctx, sel);
+                    ctx.drawImage(canvas, 0, 0);
+                    ctx.restore();
+                }
+                layer.items = layer.items.slice(0, kept).concat({ type: 'image', canvas: image });
+                if (newLayer) {
+                    // The new layer and its pixels undo together
+                    const index = state.layers.indexOf(layer);
+                    beginHistoryGroup();
+                    pushHistory({
+                        undo: () => removeLayer(layer),
+                        redo: () => insertLayer(layer, index)
+                    });
+                    saveHistoryState(layer.id);
+                    endHistoryGroup();
+                } else {
+                    saveHistoryState(layer.id);
+                }
+            }
+        }
+        drawOverlay();
+    }
+
+    // Whether an item may have pixels in the rect { x, y, w, h }. Errs on the side of yes:
+    // fills and images cover the document, and the padding covers square corners, miter
+    // joins (up to the canvas miter limit of 10) and anti-aliasing.
+    function itemReaches(item, rect) {
+        const box = (xs, ys, pad) => {
+            const x1 = Math.min(...xs) - pad;
+            const y1 = Math.min(...ys) - pad;
+            const x2 = Math.max(...xs) + pad;
+            const y2 = Math.max(...ys) + pad;
+            return x1 < rect.x + rect.w && x2 > rect.x && y1 < rect.y + rect.h && y2 > rect.y;
+        };
+        if (item.type === 'stroke') {
+            return box(item.points.map(p => p[0]), item.points.map(p => p[1]), item.size + 1);
+        }
+        if (item.type === 'shape') {
+            const { x, y, w, h } = shapeBounds(item);
+            const pad = (item.stroke ? item.size * (item.shape === 'square' ? 5 : 0.5) : 0) + 1;
+            return box([x, x + w], [y, y + h], pad);
+        }
+        if (item.type === 'cells') {
+            const s = item.size;
+            return box(item.cells.flatMap(([col]) => [col * s, (col + 1) * s]), item.cells.flatMap(([, row]) => [row * s, (row + 1) * s]), 1);
+        }
+        if (item.type === 'text') {
+            const { x, y, w, h } = textBounds(item);
+            return box([x, x + w], [y, y + h], item.size / 2);
+        }
+        return true;
+    }
+
+    // Drops the selection, putting floating pixels back where they came from
+    function cancelSelection() {
+        const sel = state.selection;
+        state.selection = null;
+        state.selectionDrag = null;
+        if (sel && sel.floating) {
+            if (sel.floating.newLayer) removeLayer(sel.floating.layer);
+            else restoreCanvas(sel.floating.layer, sel.floating.before);
+        }
+        drawOverlay();
+    }
+
+    function restoreCanvas(layer, canvas) {
+        layer.ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
+        layer.ctx.drawImage(canvas, 0, 0);
+    }
+
+    function flipSelection(horizontal) {
+        if (!liftSelection()) return;
+        if (horizontal) state.selection.transform.sx *= -1;
+        else state.selection.transform.sy *= -1;
+        renderFloating();
+        drawOverlay();
+    }
+
+    function deleteSelection() {
+        if (!liftSelection()) return;
+        state.selection.floating.canvas = null;
+        renderFloating();
+        commitSelection();
+    }
+
+    // --- Clipboard ---
+    // Copies are kept in state.clipboard { canvas, x, y } (pixels and where they were).
+    // Pasting an image from the system clipboard adds it as a new layer instead.
+
+    function copySelection() {
+        const sel = state.selection;
+        if (!sel) return false;
+
+        // The pixels as they look now, on a document-sized canvas...
+        const full = document.createElement('canvas');
+        full.width = CONFIG.width;
+        full.height = CONFIG.height;
+        const fctx = full.getContext('2d');
+        if (sel.floating) {
+            if (sel.floating.canvas) {
+                applySelectionTransform(fctx, sel);
+                fctx.drawImage(sel.floating.canvas, 0, 0);
+            }
+        } else {
+            const layer = state.layers.find(l => l.id === state.activeLayerId);
+            tracePath(fctx, sel.path, 0, 0);
+            fctx.clip();
+            fctx.drawImage(layer.canvas, 0, 0);
+        }
+
+        // ...cropped to the outline
+        const outline = createSelection(transformedPath(sel), null).bounds;
+        const x = Math.max(0, outline.x);
+        const y = Math.max(0, outline.y);
+        const w = Math.min(CONFIG.width, outline.x + outline.w) - x;
+        const h = Math.min(CONFIG.height, outline.y + outline.h) - y;
+        if (w < 1 || h < 1) return false;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        canvas.getContext('2d').drawImage(full, -x, -y);
+        state.clipboard = { canvas, x, y };
+        return true;
+    }
+
+    function cutSelection() {
+        if (copySelection()) deleteSelection();
+    }
+
+    // Pixels float on `layer` as a new selection, `scale` fits them into the document
+    function floatPixels(layer, canvas, x, y, scale) {
+        if (state.currentTool !== 'select') switchToTool('select');
+        const { width: w, height: h } = canvas;
+        state.selection = createSelection([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], {
+            layer,
+            canvas,
+            under: cloneCanvas(layer.canvas),
+            before: cloneCanvas(layer.canvas),
+            pasted: true
+        });
+        state.selection.transform.sx = scale;
+        state.selection.transform.sy = scale;
+        renderFloating();
+        drawOverlay();
+    }
+
+    function pasteClipboard() {
+        if (!state.clipboard) return;
+        commitSelection();
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (layer.reference) return; // Locked
+        const { canvas, x, y } = state.clipboard;
+        floatPixels(layer, cloneCanvas(canvas), x, y, 1);
+    }
+
+    function pasteImageFile(file) {
+        readImageFile(file).then(img => {
+            commitSelection();
+            // The layer goes into history together with the pixels when the selection is
+            // committed (see commitSelection), so that's one undo step. Cancelling drops it.
+            const id = state.nextLayerId++;
+            const layer = createLayerObject(id, `Pasted ${id}`);
+            resetHistoryBase(layer);
+            insertLayer(layer, state.layers.length);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+
+            // Centred, and shrunk if it's bigger than the document
+            const scale = Math.min(1, CONFIG.width / img.width, CONFIG.height / img.height);
+            const x = Math.round((CONFIG.width - img.width) / 2);
+            const y = Math.round((CONFIG.height - img.height) / 2);
+            floatPixels(layer, canvas, x, y, scale);
+            state.selection.floating.newLayer = true;
+        }, () => alert("Failed to read the image."));
+    }
+
+    function readImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name} isn't a readable image`));
+            };
+            img.src = url;
+        });
+    }
+
+    // --- Image Import ---
+    // A photo or scan becomes a new layer, placed by the import dialog:
+    // - fit:    the whole image, as large as fits in the document
+    // - fill:   covers the whole document, the overflow is cut off
+    // - center: original size, in the middle
+    // As a reference layer it goes to the bottom of the stack at half opacity, to trace over.
+    const IMPORT_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+    const REFERENCE_OPACITY = 0.5;
+
+    function openImportDialog(file) {
+        commitSelection(); // A floating selection goes down first
+        state.importFile = file;
+        importFileName.textContent = file.name;
+        importModal.classList.remove('hidden');
+    }
+
+    function confirmImportDialog() {
+        const file = state.importFile;
+        state.importFile = null;
+        importModal.classList.add('hidden');
+        if (!file) return;
+
+        readImageFile(file).then(img => {
+            const name = file.name.replace(/\.[^.]+$/, '') || `Image ${state.nextLayerId}`;
+            importImageLayer(img, name, importPlacement.value, importReference.checked);
+        }, (err) => alert(`Failed to import image.\n${err.message}`));
+    }
+
+    // One undo step; the image is an image item, so it survives resizing and saving
+    function importImageLayer(img, name, placement, reference) {
+        const { width, height } = CONFIG;
+        const scale = placement === 'fit' ? Math.min(width / img.width, height / img.height)
+            : placement === 'fill' ? Math.max(width / img.width, height / img.height)
+            : 1;
+        const w = Math.round(img.width * scale);
+        const h = Math.round(img.height * scale);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(img, Math.round((width - w) / 2), Math.round((height - h) / 2), w, h);
+
+        const layer = createLayerObject(state.nextLayerId++, name);
+        layer.items = [{ type: 'image', canvas }];
+        layer.reference = reference;
+        if (reference) layer.opacity = REFERENCE_OPACITY;
+        renderLayer(layer);
+        resetHistoryBase(layer);
+
+        // A reference goes under the drawing and leaves the active layer as it is
+        const index = reference ? 0 : state.layers.length;
+        const activeId = state.activeLayerId;
+        const insert = () => {
+            insertLayer(layer, index);
+            if (reference) setActiveLayer(activeId);
+        };
+        insert();
+        pushHistory({
+            undo: () => removeLayer(layer),
+            redo: insert
+        });
+    }
+
+    // Marching ants with transform handles, or the outline being dragged out
+    function drawSelectionOverlay(octx) {
+        const drag = state.selectionDrag;
+        const marquee = drag && drag.mode === 'marquee';
+        const outline = marquee ? marqueePath(drag) : state.selection && transformedPath(state.selection);
+        if (!outline || outline.length < 2) return;
+
+        octx.save();
+        octx.lineWidth = 1 / state.zoom;
+        tracePath(octx, outline, 0, 0);
+        // Black dashes running over a white line, visible on any colour
+        octx.strokeStyle = '#ffffff';
+        octx.stroke();
+        octx.setLineDash([4 / state.zoom, 4 / state.zoom]);
+        octx.lineDashOffset = -state.antsOffset / state.zoom;
+        octx.strokeStyle = '#000000';
+        octx.stroke();
+        octx.setLineDash([]);
+
+        if (!marquee) {
+            const size = HANDLE_SIZE / state.zoom;
+            octx.fillStyle = '#ffffff';
+            octx.strokeStyle = '#3b82f6';
+            selectionHandles(state.selection).forEach(h => {
+                octx.beginPath();
+                if (h.kind === 'rotate') octx.arc(h.x, h.y, size / 2, 0, Math.PI * 2);
+                else octx.rect(h.x - size / 2, h.y - size / 2, size, size);
+                octx.fill();
+                octx.stroke();
+            });
+        }
+        octx.restore();
+    }
+
+    // --- Bucket Fill ---
+    // Fills the region under (x, y) on the active layer with the current colour.
+    // The filled pixels are recorded as an image item, so replaying the layer reproduces them.
+    function bucketFill(x, y) {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        const { width, height } = CONFIG;
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (!layer || px < 0 || py < 0 || px >= width || py >= height) return;
+
+        // Reference layers are only there to trace, so the merged image leaves them out
+        const source = state.bucket.sampleMerged
+            ? flattenLayers(sampledLayers(state.layers, false))
+            : layer.ctx.getImageData(0, 0, width, height);
+        const matches = colorMatcher(source, py * width + px, state.bucket.tolerance);
+        const mask = state.bucket.contiguous
+            ? floodMask(source, px, py, matches)
+            : globalMask(source, matches);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const fill = ctx.createImageData(width, height);
+        const [r, g, b] = hexToRgb(state.color);
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) {
+                fill.data[i * 4] = r;
+                fill.data[i * 4 + 1] = g;
+                fill.data[i * 4 + 2] = b;
+                fill.data[i * 4 + 3] = 255;
+            }
+        }
+        ctx.putImageData(fill, 0, 0);
+
+        const item = { type: 'image', canvas };
+        layer.items.push(item);
+        drawItem(layer.ctx, item);
+        saveHistoryState(layer.id);
+    }
+
+    // Tests pixel indices against the colour of the seed pixel.
+    // Fully transparent pixels all count as the same colour, whatever their RGB.
+    function colorMatcher(imageData, seed, tolerance) {
+        const d = imageData.data;
+        const r0 = d[seed * 4];
+        const g0 = d[seed * 4 + 1];
+        const b0 = d[seed * 4 + 2];
+        const a0 = d[seed * 4 + 3];
+        return (i) => {
+            const p = i * 4;
+            const a = d[p + 3];
+            if (a === 0 && a0 === 0) return true;
+            return Math.abs(d[p] - r0) <= tolerance
+                && Math.abs(d[p + 1] - g0) <= tolerance
+                && Math.abs(d[p + 2] - b0) <= tolerance
+                && Math.abs(a - a0) <= tolerance;
+        };
+    }
+
+    // Scanline flood fill: each span is filled whole, and only one seed per
+    // matching run is pushed for the rows above and below
+    function floodMask(imageData, x, y, matches) {
+        const { width, height } = imageData;
+        const mask = new Uint8Array(width * height);
+        const stack = [y * width + x];
+
+        while (stack.length > 0) {
+            const start = stack.pop();
+            if (mask[start]) continue;
+            const row = start - (start % width);
+
+            let left = start;
+            while (left > row && !mask[left - 1] && matches(left - 1)) left--;
+            let right = start;
+            while (right < row + width - 1 && !mask[right + 1] && matches(right + 1)) right++;
+            mask.fill(1, left, right + 1);
+
+            [row - width, row + width].forEach(next => {
+                if (next < 0 || next >= mask.length) return;
+                let inRun = false;
+                for (let i = left - row; i <= right - row; i++) {
+                    const idx = next + i;
+                    const open = !mask[idx] && matches(idx);
+                    if (open && !inRun) stack.push(idx);
+                    inRun = open;
+                }
+            });
+        }
+        return mask;
+    }
+
+    function globalMask(imageData, matches) {
+        const mask = new Uint8Array(imageData.width * imageData.height);
+        for (let i = 0; i < mask.length; i++) {
+            if (matches(i)) mask[i] = 1;
+        }
+        return mask;
+    }
+
+    // --- History (Undo / Redo) ---
+    // Every undoable action is a command { undo(), redo() } on state.undoStack.
+    // Pixel changes are stored as the dirty rectangle only: each layer keeps a
+    // committed copy of its canvas (see historyBase), and saveHistoryState()
+    // diffs the layer against it to find what changed since the last commit.
+    // Commands hold the layer objects themselves, so a deleted layer's canvas
+    // stays around for as long as a command can bring it back.
+    // A command's `bytes` is roughly the pixel memory only it keeps alive; the oldest
+    // commands go once the stack holds more than maxHistoryBytes (or maxHistory steps).
+    const historyBase = new WeakMap(); // layer -> { canvas, ctx, items } as of the last commit
+
+    function resetHistoryBase(layer) {
+        const canvas = document.createElement('canvas');
+        canvas.width = CONFIG.width;
+        canvas.height = CONFIG.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(layer.canvas, 0, 0);
+        historyBase.set(layer, { canvas, ctx, items: layer.items.slice() });
+    }
+
+    function pushHistory(command) {
+        command.frame = state.frames[state.currentFrame]; // See focusFrame
+        scheduleNavigator();
+        if (state.historyGroup) {
+            state.historyGroup.push(command);
+            return;
+        }
+        scheduleAutosave(); // Every undoable change is worth keeping
+        state.undoStack.push(command);
+        state.redoStack = [];
+        let bytes = state.undoStack.reduce((sum, c) => sum + (c.bytes || 0), 0);
+        while (state.undoStack.length > 1
+            && (state.undoStack.length > state.maxHistory || bytes > state.maxHistoryBytes)) {
+            bytes -= state.undoStack.shift().bytes || 0;
+        }
+    }
+
+    // Everything pushed between begin and end becomes a single undo step
+    function beginHistoryGroup() {
+        state.historyGroup = [];
+    }
+
+    function endHistoryGroup() {
+        const commands = state.historyGroup;
+        state.historyGroup = null;
+        if (commands.length === 0) return;
+        pushHistory(commands.length === 1 ? commands[0] : {
+            undo: () => commands.slice().reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo()),
+            bytes: commands.reduce((sum, command) => sum + (command.bytes || 0), 0)
+        });
+    }
+
+    // Records what changed on a layer since its last commit (pixels and items)
+    function saveHistoryState(layerId) {
+        const layer = state.layers.find(l => l.id === layerId);
+        if (!layer) return;
+        const base = historyBase.get(layer);
+        if (!base) {
+            resetHistoryBase(layer);
+            return;
+        }
+
+        const rect = diffRect(base.ctx, layer.ctx);
+        const itemsBefore = base.items;
+        const itemsAfter = layer.items.slice();
+        const itemsChanged = itemsBefore.length !== itemsAfter.length
+            || itemsBefore.some((item, i) => item !== itemsAfter[i]);
+        if (!rect && !itemsChanged) return;
+
+        let before = null;
+        let after = null;
+        if (rect) {
+            before = base.ctx.getImageData(rect.x, rect.y, rect.w, rect.h);
+            after = layer.ctx.getImageData(rect.x, rect.y, rect.w, rect.h);
+            base.ctx.putImageData(after, rect.x, rect.y);
+        }
+        base.items = itemsAfter;
+
+        const apply = (pixels, items) => {
+            if (pixels) {
+                layer.ctx.putImageData(pixels, rect.x, rect.y);
+                base.ctx.putImageData(pixels, rect.x, rect.y);
+            }
+            layer.items = items.slice();
+            base.items = items;
+        };
+        // The two pixel rects, plus canvases of image items that only this step refers to
+        const newImages = itemsAfter.filter(item => item.type === 'image' && !itemsBefore.includes(item));
+        const bytes = (before ? before.data.length + after.data.length : 0)
+            + newImages.reduce((sum, item) => sum + item.canvas.width * item.canvas.height * 4, 0);
+        pushHistory({
+            undo: () => apply(before, itemsBefore),
+            redo: () => apply(after, itemsAfter),
+            bytes
+        });
+    }
+
+    // Bounding box of the pixels that differ between two same-sized canvases, or null
+    function diffRect(ctxA, ctxB) {
+        const { width, height } = CONFIG;
+        const a = new Uint32Array(ctxA.getImageData(0, 0, width, height).data.buffer);
+        const b = new Uint32Array(ctxB.getImageData(0, 0, width, height).data.buffer);
+
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (a[row + x] !== b[row + x]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
+    function undo() {
+        // Undo while transforming a selection cancels the transform
+        if (state.selection && state.selection.floating) {
+            cancelSelection();
+            return;
+        }
+        const command = state.undoStack.pop();
+        if (!command) return;
+        focusFrame(command.frame);
+        if (state.selectedShape) selectShape(null);
+        command.undo();
+        state.redoStack.push(command);
+        scheduleAutosave();
+        scheduleNavigator();
+    }
+
+    function redo() {
+        const command = state.redoStack.pop();
+        if (!command) return;
+        if (state.selection && state.selection.floating) cancelSelection();
+        focusFrame(command.frame);
+        if (state.selectedShape) selectShape(null);
+        command.redo();
+        state.undoStack.push(command);
+        scheduleAutosave();
+        scheduleNavigator();
+    }
+
+    function clearCurrentLayer() {
+        commitSelection(); // A floating selection goes down first
+        const ctx = getActiveCtx();
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (ctx && !layer.reference) {
+            ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
+            layer.items = [];
+            // If it's the bottom background layer, maybe fill white again?
+            // Usually bottom layer is just a layer.
+            // But if user wants transparent, clearRect is correct.
+            saveHistoryState(state.activeLayerId);
+        }
+    }
+
+    // --- Code Generation ---
+    // Options that don't apply to the current mode are disabled
+    function updateCodeOptionControls() {
+        const { output, mode, perLayer } = state.codeOptions;
+        // An embedded image has no drawing code to tweak
+        const embedded = output === 'image';
+        codeMode.disabled = embedded;
+        codePerLayer.disabled = embedded;
+        simplifySlider.disabled = embedded || mode !== 'vector';
+        // Flattened pixels with text are drawn layer by layer, without a palette (see addFlattenedPixels)
+        const layerByLayer = mode === 'pixels' && !perLayer && state.frames.some(frame => hasCodeText(frame.layers));
+        colorCount.disabled = embedded || mode !== 'pixels' || perLayer || layerByLayer;
+        colorCountNote.classList.toggle('hidden', embedded || !layerByLayer);
+        codeBuffers.disabled = embedded || (mode === 'pixels' && !perLayer);
+    }
+
+    function generateCode() {
+        commitSelection(); // A floating selection goes down first
+        const modal = document.getElementById('code-modal');
+        const output = document.getElementById('code-output');
+
+        modal.classList.remove('hidden');
+        updateCodeOptionControls(); // Whether there's text can have changed
+        output.textContent = "Generating code... Merging layers...";
+        codeStats.textContent = '';
+        quantizePreview.classList.add('hidden');
+        state.generatedCode = '';
+
+        setTimeout(() => {
+            const code = processAllLayers();
+            output.textContent = code;
+            state.generatedCode = code;
+            showCodeStats(code);
+            // An open preview follows the code options
+            if (!previewPane.classList.contains('hidden')) runPreview();
+        }, 100);
+    }
+
+    // Builds the sketch for the current code options.
+    // The generators below fill in a sketch object with unindented lines:
+    // - globals:   top-level constants
+    // - variables: top-level `let` declarations
+    // - preload, setup: function bodies
+    // - main:      the drawing itself, where it ends up depends on the output strategy
+    // - functions: [{ name, params, body }] helper functions
+    // Calls in `main` draw into `sketch.target` (a p5.Graphics variable) when it is set.
+    // assembleSketch() lays everything out.
+    function processAllLayers() {
+        const { output } = state.codeOptions;
+        const sketch = {
+            globals: [],
+            variables: [],
+            preload: [],
+            setup: [],
+            main: [],
+            functions: [],
+            target: output === 'once' ? 'artwork' : ''
+        };
+
+        if (CONFIG.pixelSize && output !== 'image') {
+            sketch.globals.push(`const s = ${CONFIG.pixelSize}; // Size of one pixel art cell`);
+        }
+        if (output !== 'image') addUploadedFonts(sketch);
+
+        if (state.frames.length > 1) {
+            addAnimation(sketch);
+        } else {
+            if (output === 'image') {
+                addEmbeddedImage(sketch);
+            } else if (state.codeOptions.mode === 'pixels' && !state.codeOptions.perLayer) {
+                addFlattenedPixels(sketch);
+            } else {
+                addLayers(sketch);
+            }
+
+            if (output === 'once') {
+                // Drawn a single time into a buffer, then only copied to the screen
+                sketch.variables.push(`let artwork;`);
+                sketch.setup.push(``);
+                sketch.setup.push(`artwork = createGraphics(${CONFIG.width}, ${CONFIG.height});`);
+                sketch.setup = sketch.setup.concat(sketch.main);
+                sketch.draw = [`image(artwork, 0, 0);`];
+            } else {
+                sketch.draw = sketch.main;
+            }
+        }
+
+        // emitItems() draws pressure-opacity strokes through one shared buffer
+        const bodies = [sketch.setup, sketch.main, sketch.draw || [], ...sketch.functions.map(fn => fn.body)];
+        if (bodies.some(body => body.some(line => line.includes(PRESSURE_BUFFER)))) {
+            sketch.variables.push(`let ${PRESSURE_BUFFER}; // Created on first use`);
+        }
+
+        if (state.codeOptions.format === 'module') return assembleModule(sketch);
+        const code = assembleSketch(sketch);
+        return state.codeOptions.format === 'instance' ? wrapInstanceMode(code) : code;
+    }
+
+    // concat rather than push(...), bodies can have hundreds of thousands of lines
+    function indentLines(body) {
+        return body.map(line => line ? `  ${line}` : '');
+    }
+
+    function appendFunction(lines, header, body) {
+        lines.push(`${header} {`);
+        lines = lines.concat(indentLines(body));
+        lines.push(`}`);
+        return lines;
+    }
+
+    // Global mode sketch
+    function assembleSketch(sketch) {
+        let lines = [];
+        if (sketch.globals.length > 0) {
+            lines = lines.concat(sketch.globals, ['']);
+        }
+        if (sketch.variables.length > 0) {
+            lines = lines.concat(sketch.variables, ['']);
+        }
+        if (sketch.preload.length > 0) {
+            lines = appendFunction(lines, `function preload()`, sketch.preload);
+            lines.push(``);
+        }
+        lines = appendFunction(lines, `function setup()`,
+            [`createCanvas(${canvasSizeArgs()});`].concat(sketch.setup));
+        lines.push(``);
+        lines = appendFunction(lines, `function draw()`, [backgroundCall()].concat(sketch.draw));
+        if (CONFIG.windowSized) {
+            lines.push(``);
+            lines = appendFunction(lines, `function windowResized()`, [`resizeCanvas(windowWidth, windowHeight);`]);
+        }
+
+        sketch.functions.forEach(fn => {
+            lines.push(``);
+            lines = appendFunction(lines, `function ${fn.name}(${fn.params})`, fn.body);
+        });
+
+        return lines.join('\n');
+    }
+
+    function canvasSizeArgs() {
+        return CONFIG.windowSized ? 'windowWidth, windowHeight' : `${CONFIG.width}, ${CONFIG.height}`;
+    }
+
+    // Instance mode: the global mode sketch inside new p5(), with every p5 call going through `p`
+    function wrapInstanceMode(code) {
+        const body = toInstanceMode(code)
+            .replace(/^function (preload|setup|draw|windowResized)\(\) \{$/gm, 'p.$1 = () => {')
+            .split('\n');
+        // The closing braces of the p.xxx = () => { ... } assignments
+        let inAssignment = false;
+        const lines = body.map(line => {
+            if (line.startsWith('p.')) inAssignment = true;
+            if (inAssignment && line === '}') {
+                inAssignment = false;
+                return '};';
+            }
+            return line;
+        });
+
+        return [
+            `// Pass the element the canvas should go in, or leave it out to add it to <body>`,
+            `new p5((p) => {`
+        ].concat(indentLines(lines), [`}, document.getElementById('artwork'));`]).join('\n');
+    }
+
+    // ES module: drawArtwork() draws into any host sketch, at an offset and scale.
+    // Setup work (buffers, palette) happens on the first call.
+    function assembleModule(sketch) {
+        const { width, height } = CONFIG;
+        const hasPreload = sketch.preload.length > 0;
+
+        let lines = [
+            `// Usage in an instance mode sketch:`,
+            `//   import { ${hasPreload ? 'preloadArtwork, ' : ''}drawArtwork } from './artwork.js';`
+        ];
+        if (hasPreload) lines.push(`//   p.preload = () => preloadArtwork(p);`);
+        lines.push(`//   p.draw = () => drawArtwork(p, x, y, scale);`);
+        lines.push(`// The artwork is ${width} x ${height} at scale 1.`);
+        lines.push(``);
+        lines = lines.concat(sketch.globals.length > 0 ? sketch.globals.concat(['']) : []);
+        // Leading blank line of the setup body isn't needed in a function of its own
+        const setup = sketch.setup[0] === '' ? sketch.setup.slice(1) : sketch.setup;
+        const hasSetup = setup.length > 0;
+
+        lines.push(`let p; // The host sketch`);
+        if (hasSetup) lines.push(`let ready = false;`);
+        lines = lines.concat(sketch.variables, ['']);
+
+        if (hasPreload) {
+            lines = appendFunction(lines, `export function preloadArtwork(sketch)`,
+                [`p = sketch;`].concat(sketch.preload));
+            lines.push(``);
+        }
+
+        // A filled rect instead of background(), which would cover the whole host canvas
+        const background = CONFIG.bgColor === 'transparent' ? [] : [
+            `noStroke();`,
+            `fill(${colorArgs(CONFIG.bgColor)});`,
+            `rect(0, 0, ${width}, ${height});`
+        ];
+        const firstCall = hasSetup ? [
+            `if (!ready) {`,
+            `  setupArtwork();`,
+            `  ready = true;`,
+            `}`,
+            ``
+        ] : [];
+        lines = appendFunction(lines, `export function drawArtwork(sketch, x = 0, y = 0, scale = 1)`,
+            [`p = sketch;`].concat(firstCall, [
+                `push();`,
+                `translate(x, y);`,
+                `scale(scale);`
+            ], background, sketch.draw, [`pop();`]));
+
+        if (hasSetup) {
+            lines.push(``);
+            lines = appendFunction(lines, `function setupArtwork()`, setup);
+        }
+
+        sketch.functions.forEach(fn => {
+            lines.push(``);
+            lines = appendFunction(lines, `function ${fn.name}(${fn.params})`, fn.body);
+        });
+
+        return toInstanceMode(lines.join('\n'));
+    }
+
+    // p5 names the generators emit; instance mode reaches them through `p`
+    const P5_FUNCTIONS = [
+        'createCanvas', 'resizeCanvas', 'createGraphics', 'loadImage', 'background', 'clear', 'image',
+        'tint', 'noTint', 'blendMode',
+        'push', 'pop', 'translate', 'scale',
+        'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight', 'strokeCap', 'strokeJoin',
+        'erase', 'noErase', 'color', 'red', 'green', 'blue',
+        'point', 'line', 'rect', 'ellipse', 'beginShape', 'vertex', 'curveVertex', 'endShape',
+        'loadFont', 'textFont', 'textSize', 'textAlign', 'textStyle', 'text',
+        'frameRate'
+    ];
+    const P5_CONSTANTS = ['ROUND', 'PROJECT', 'MITER', 'CLOSE', 'LEFT', 'CENTER', 'RIGHT',
+        'NORMAL', 'BOLD', 'ITALIC', 'BOLDITALIC'].concat(Object.values(BLEND_MODES));
+    const P5_VARIABLES = ['windowWidth', 'windowHeight', 'frameCount'];
+    const P5_NAME_PATTERN = new RegExp(
+        `('[^']*'|\\/\\/.*$)` + // String literals and comments stay as they are
+        `|(?<![\\w$.])(${P5_FUNCTIONS.join('|')})(?=\\()` +
+        `|(?<=\\()(${P5_CONSTANTS.join('|')})(?=\\))` +
+        `|(?<![\\w$.])(${P5_VARIABLES.join('|')})(?![\\w$(])`,
+        'gm');
+
+    // 'line(0, 0, 1, 1);' -> 'p.line(0, 0, 1, 1);'
+    function toInstanceMode(code) {
+        return code.replace(P5_NAME_PATTERN, (match, skipped) => skipped || `p.${match}`);
+    }
+
+    // The layers of a frame that end up in the sketch
+    function codeLayers(layers) {
+        return sampledLayers(layers, state.codeOptions.references);
+    }
+
+    // Uploaded fonts of the text in the sketch, loaded in preload() from files next to
+    // it (downloadProject adds them, the preview uses the data URLs)
+    function addUploadedFonts(sketch) {
+        const families = new Set();
+        state.frames.forEach(frame => codeLayers(frame.layers).forEach(layer => {
+            layer.items.forEach(item => {
+                if (item.type === 'text') families.add(item.font);
+            });
+        }));
+        state.fonts.filter(font => families.has(font.family)).forEach(font => {
+            const name = fontIdentifier(font.family);
+            sketch.variables.push(`let ${name};`);
+            sketch.preload.push(`${name} = loadFont('${font.file}');`);
+        });
+    }
+
+    // Text stays text() calls in pixels mode instead of becoming rectangles, as long as
+    // nothing else on its layer is drawn over it. textItems() are the text items after the
+    // layer's last other item; withoutText() redraws the layers without them, so covered
+    // text ends up in the pixels.
+    function withoutText(layers) {
+        return layers.map(layer => {
+            const count = layer.items.length - textItems(layer).length;
+            if (count === layer.items.length) return layer;
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.width;
+            canvas.height = CONFIG.height;
+            const ctx = canvas.getContext('2d');
+            layer.items.slice(0, count).forEach(item => drawItem(ctx, item));
+            return { ...layer, canvas, ctx };
+        });
+    }
+
+    // Whether the code of these layers has text() calls
+    function hasCodeText(layers) {
+        return codeLayers(layers).some(layer => layer.visible && textItems(layer).length > 0);
+    }
+
+    function textItems(layer) {
+        let first = layer.items.length;
+        while (first > 0 && layer.items[first - 1].type === 'text') first--;
+        return layer.items.slice(first);
+    }
+
+    // Embedded image: the flattened layers as a PNG data URL, loaded in preload()
+    function addEmbeddedImage(sketch) {
+        const dataURL = flattenToCanvas(false, codeLayers(state.layers)).toDataURL('image/png');
+        sketch.variables.push(`let artwork;`);
+        sketch.preload.push(`artwork = loadImage('${dataURL}');`);
+        sketch.main.push(`image(artwork, 0, 0);`);
+    }
+
+    // Animation: every frame is drawn the way a single frame would be, and draw()
+    // picks the one to show from frameCount.
+    // - frame: each frame becomes a drawFrame_<n>() function
+    // - once:  each frame is drawn into its own buffer in setup()
+    // - image: each frame is an embedded PNG
+    // Names that would clash between frames (buffers, palettes, ...) end in _<n>.
+    function addAnimation(sketch) {
+        const { output, mode, perLayer } = state.codeOptions;
+        const { width, height } = CONFIG;
+
+        // A module draws at the frame rate of the host sketch
+        if (state.codeOptions.format !== 'module') {
+            sketch.setup.push(`frameRate(${state.fps});`);
+        }
+        const frameNames = [];
+        state.frames.forEach((frame, i) => {
+            const n = i + 1;
+            if (output === 'image') {
+                const dataURL = flattenToCanvas(false, codeLayers(frame.layers)).toDataURL('image/png');
+                sketch.preload.push(`frames[${i}] = loadImage('${dataURL}');`);
+                return;
+            }
+
+            sketch.main = [];
+            if (output === 'once') {
+                sketch.target = `frames[${i}]`;
+                sketch.setup.push(``);
+                sketch.setup.push(`// Frame ${n}`);
+                sketch.setup.push(`frames[${i}] = createGraphics(${width}, ${height});`);
+            }
+            if (mode === 'pixels' && !perLayer) {
+                addFlattenedPixels(sketch, frame.layers, `_${n}`);
+            } else {
+                addLayers(sketch, frame.layers, `_${n}`);
+            }
+
+            if (output === 'once') {
+                sketch.setup = sketch.setup.concat(sketch.main);
+            } else {
+                // Leading blank line isn't needed in a function of its own
+                const body = sketch.main[0] === '' ? sketch.main.slice(1) : sketch.main;
+                frameNames.push(`drawFrame_${n}`);
+                sketch.functions.push({ name: `drawFrame_${n}`, params: '', body });
+            }
+        });
+
+        // frameCount starts at 1
+        const current = `frames[(frameCount - 1) % frames.length]`;
+        if (output === 'frame') {
+            sketch.variables.push(`const frames = [${frameNames.join(', ')}];`);
+            sketch.draw = [`${current}();`];
+        } else {
+            sketch.variables.push(`let frames = [];`);
+            sketch.draw = [`image(${current}, 0, 0);`];
+        }
+    }
+
+    // Pixels mode: every visible layer flattened into one set of rectangles, with the text on top.
+    // `layers` is the layer stack of a frame, `suffix` keeps the names of frames apart.
+    function addFlattenedPixels(sketch, layers = state.layers, suffix = '') {
+        // Text has to stay between the layers below and above it, with its layer's opacity
+        // and blend mode, so with text the layers are drawn one by one after all (and the
+        // colours aren't reduced to a palette, the colour control says so). Frames of an
+        // animation all go the same way.
+        if (state.frames.some(frame => hasCodeText(frame.layers))) {
+            addLayers(sketch, layers, suffix);
+            return;
+        }
+
+        let imageData = toCells(flattenLayers(codeLayers(layers)));
+        const t = sketch.target ? `${sketch.target}.` : '';
+
+        // Optionally reduce to a palette, referenced by index instead of raw RGB
+        let palette = null;
+        if (state.codeOptions.colors > 0) {
+            const quantized = quantizeImage(imageData, state.codeOptions.colors, isBackgroundPixel);
+            imageData = quantized.imageData;
+            // Nothing but background leaves the palette empty
+            palette = quantized.palette.length > 0 ? quantized.palette : null;
+            if (layers === state.layers) showQuantizePreview(quantized);
+        }
+
+        const paletteName = `palette${suffix}`;
+        if (palette) {
+            // color() isn't available before setup() in global mode
+            sketch.variables.push(`let ${paletteName};`);
+            sketch.setup.push(`${paletteName} = [`);
+            palette.forEach(([r, g, b], i) => {
+                sketch.setup.push(`  color(${r}, ${g}, ${b})${i < palette.length - 1 ? ',' : ''}`);
+            });
+            sketch.setup.push(`];`);
+        }
+
+        const main = sketch.main;
+        main.push(`${t}noStroke();`);
+
+        const paletteIndex = new Map();
+        if (palette) palette.forEach(([r, g, b], i) => paletteIndex.set(`${r},${g},${b}`, i));
+
+        // One fill() per colour, followed by every rectangle of that colour.
+        // Rectangles never overlap, so the order of the groups doesn't matter.
+        const groups = colorRects(imageData, isBackgroundPixel);
+        groups.forEach(group => {
+            main.push(``);
+            if (palette) {
+                const c = `${paletteName}[${paletteIndex.get(`${group.r},${group.g},${group.b}`)}]`;
+                main.push(group.a < 255
+                    ? `${t}fill(red(${c}), green(${c}), blue(${c}), ${group.a});`
+                    : `${t}fill(${c});`);
+            } else {
+                main.push(`${t}fill(${rgbaArgs(group)});`);
+            }
+            group.rects.forEach(rect => main.push(`${t}${rectCall(rect)}`));
+        });
+    }
+
+    // Vector mode and per-layer output: one block per layer, bottom to top.
+    // Vector mode replays the recorded layer items as p5 shape calls; only image
+    // items (e.g. from older project files) fall back to rectangles. Per-layer
+    // pixels mode turns each layer's own pixels into rectangles, all but its text.
+    // With perLayer every layer becomes a drawLayer_<name>() function and hidden
+    // layers are kept behind a showLayer flag; otherwise hidden layers are left out.
+    // With buffers every layer is drawn once into a createGraphics() in setup().
+    // `layers` is the layer stack of a frame, `suffix` keeps the names of frames apart.
+    function addLayers(sketch, layers = state.layers, suffix = '') {
+        layers = codeLayers(layers);
+        const { mode, perLayer, buffers } = state.codeOptions;
+        const { width, height } = CONFIG;
+        const names = layerIdentifiers(layers);
+        const t = sketch.target ? `${sketch.target}.` : '';
+        const showLayer = `showLayer${suffix}`;
+
+        if (perLayer) {
+            sketch.globals.push(`// Set to false to hide a layer`);
+            sketch.globals.push(`const ${showLayer} = {`);
+            layers.forEach((layer, i) => {
+                const comma = i < layers.length - 1 ? ',' : '';
+                sketch.globals.push(`  ${names.get(layer.id)}: ${layer.visible}${comma}`);
+            });
+            sketch.globals.push(`};`);
+        }
+
+        layers.forEach(layer => {
+            if (!perLayer && (!layer.visible || layer.items.length === 0)) return;
+
+            const name = names.get(layer.id);
+            const buffer = `layer_${name}${suffix}`;
+            const content = (target) => mode === 'vector'
+                ? emitItems(layer.items, target)
+                : pixelCalls(withoutText([layer])[0].ctx.getImageData(0, 0, width, height))
+                    .map(code => target + code)
+                    .concat(emitItems(textItems(layer), target));
+
+            // erase() on the main canvas would also wipe the layers below,
+            // so a layer that uses the eraser always gets its own buffer.
+            // So does a layer with opacity or a blend mode, which applies to the layer as a whole.
+            const buffered = buffers || isComposited(layer)
+                || (mode === 'vector' && layer.items.some(item => item.tool === 'eraser'));
+            if (buffered) {
+                sketch.variables.push(`let ${buffer};`);
+                sketch.setup.push(``);
+                sketch.setup.push(`// ${layer.name}`);
+                sketch.setup.push(`${buffer} = createGraphics(${width}, ${height});`);
+            }
+
+            if (perLayer) {
+                // Functions take the p5.Graphics to draw into, unless it's the main canvas
+                const fn = `drawLayer_${name}${suffix}`;
+                const into = buffered ? buffer : sketch.target;
+                sketch.functions.push({
+                    name: fn,
+                    params: into ? 'g' : '',
+                    body: content(into ? 'g.' : '')
+                });
+                if (buffered) {
+                    sketch.setup.push(`${fn}(${buffer});`);
+                    const calls = compositeCalls(layer, buffer, t);
+                    if (calls.length === 1) {
+                        sketch.main.push(`if (${showLayer}.${name}) ${calls[0]}`);
+                    } else {
+                        sketch.main.push(`if (${showLayer}.${name}) {`);
+                        sketch.main = sketch.main.concat(calls.map(call => `  ${call}`));
+                        sketch.main.push(`}`);
+                    }
+                } else {
+                    sketch.main.push(`if (${showLayer}.${name}) ${fn}(${into});`);
+                }
+            } else if (buffered) {
+                sketch.setup = sketch.setup.concat(content(`${buffer}.`));
+                sketch.main.push(``);
+                sketch.main = sketch.main.concat(compositeCalls(layer, buffer, t));
+            } else {
+                sketch.main.push(``);
+                sketch.main.push(`// ${layer.name}`);
+                sketch.main = sketch.main.concat(content(t));
+            }
+        });
+    }
+
+    function isComposited(layer) {
+        return layer.opacity < 1 || layer.blend !== 'normal';
+    }
+
+    // image() of a layer buffer with the layer's opacity (tint) and blend mode
+    function compositeCalls(layer, buffer, t) {
+        const blend = layer.blend !== 'normal';
+        const tint = layer.opacity < 1;
+        const calls = [];
+        if (tint) calls.push(`${t}tint(255, ${Math.round(layer.opacity * 255)});`);
+        if (blend) calls.push(`${t}blendMode(${BLEND_MODES[layer.blend]});`);
+        calls.push(`${t}image(${buffer}, 0, 0);`);
+        if (blend) calls.push(`${t}blendMode(BLEND);`);
+        if (tint) calls.push(`${t}noTint();`);
+        return calls;
+    }
+
+    // Layer names turned into unique JS identifiers, e.g. "Layer 2" -> Layer_2
+    function layerIdentifiers(layers) {
+        const names = new Map();
+        const used = new Set();
+        layers.forEach(layer => {
+            let name = layer.name.replace(/[^\p{L}\p{N}_$]/gu, '_') || 'Layer';
+            if (/^\p{N}/u.test(name)) name = `_${name}`;
+            if (used.has(name)) name = `${name}_${layer.id}`;
+            used.add(name);
+            names.set(layer.id, name);
+        });
+        return names;
+    }
+
+    // noStroke() and one fill() per colour followed by its rects; transparent pixels are skipped
+    function pixelCalls(imageData) {
+        let calls = ['noStroke();'];
+        colorRects(toCells(imageData), (r, g, b, a) => a === 0).forEach(group => {
+            calls.push(`fill(${rgbaArgs(group)});`);
+            calls = calls.concat(group.rects.map(rectCall));
+        });
+        return calls;
+    }
+
+    // Pixel art is emitted cell by cell, as rect(col * s, row * s, s, s) with a `const s`
+    // (see processAllLayers). The image is sampled down to one pixel per cell first.
+    function toCells(imageData) {
+        const s = CONFIG.pixelSize;
+        if (!s) return imageData;
+
+        const cols = Math.ceil(imageData.width / s);
+        const rows = Math.ceil(imageData.height / s);
+        const data = new Uint8ClampedArray(cols * rows * 4);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                // Centre of the cell (of what's left of it at the right/bottom edge)
+                const x = Math.min(imageData.width - 1, Math.floor(col * s + s / 2));
+                const y = Math.min(imageData.height - 1, Math.floor(row * s + s / 2));
+                const from = (y * imageData.width + x) * 4;
+                data.set(imageData.data.subarray(from, from + 4), (row * cols + col) * 4);
+            }
+        }
+        return { width: cols, height: rows, data };
+    }
+
+    // buildColorRects(), except that pixel art keeps one rect per cell
+    function colorRects(imageData, isSkipped) {
+        if (!CONFIG.pixelSize) return buildColorRects(imageData, isSkipped);
+
+        const groups = new Map();
+        const { width, height, data } = imageData;
+        for (let i = 0; i < width * height; i++) {
+            const [r, g, b, a] = data.subarray(i * 4, i * 4 + 4);
+            if (isSkipped(r, g, b, a)) continue;
+            const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+            if (!groups.has(key)) groups.set(key, { r, g, b, a, rects: [] });
+            groups.get(key).rects.push([i % width, Math.floor(i / width), 1, 1]);
+        }
+        return [...groups.values()].sort((a, b) => b.rects.length - a.rects.length);
+    }
+
+    function rectCall([x, y, w, h]) {
+        return CONFIG.pixelSize ? cellRect([x, y]) : `rect(${x}, ${y}, ${w}, ${h});`;
+    }
+
+    function cellRect([col, row]) {
+        return `rect(${col} * s, ${row} * s, s, s);`;
+    }
+
+    // `target` prefixes every call, e.g. 'g.' to draw into a p5.Graphics
+    // Buffer variable for pressure-opacity strokes, see emitItems()
+    const PRESSURE_BUFFER = 'pressureBuffer';
+
+    function emitItems(items, target) {
+        let lines = [];
+        const current = {}; // Last emitted value per setting, to skip redundant calls
+        let erasing = false;
+
+        const call = (code) => lines.push(`${target}${code}`);
+        const set = (key, code) => {
+            if (current[key] !== code) {
+                call(code);
+                current[key] = code;
+            }
+        };
+        const setStrokeStyle = (item) => {
+            set('weight', `strokeWeight(${item.size});`);
+            // Canvas 'square' caps extend past the end points, which is PROJECT in p5 (SQUARE is 'butt')
+            set('cap', item.shape === 'square' ? 'strokeCap(PROJECT);' : 'strokeCap(ROUND);');
+            set('join', item.shape === 'square' ? 'strokeJoin(MITER);' : 'strokeJoin(ROUND);');
+        };
+
+        items.forEach(item => {
+            const isEraser = (item.type === 'stroke' || item.type === 'cells') && item.tool === 'eraser';
+
+            // noErase() restores the fill/stroke from before erase(), so it has to
+            // come before any new fill()/stroke(), and erase() after them.
+            if (erasing && !isEraser) {
+                call('noErase();');
+                delete current.erase;
+                erasing = false;
+            }
+
+            if (item.type === 'fill') {
+                call(`background(${colorArgs(item.color)});`);
+            } else if (item.type === 'image') {
+                const { width, height } = item.canvas;
+                const imageData = item.canvas.getContext('2d').getImageData(0, 0, width, height);
+                lines = lines.concat(pixelCalls(imageData).map(code => target + code));
+                current.stroke = 'noStroke();';
+                current.fill = null;
+            } else if (item.type === 'stroke') {
+                set('fill', 'noFill();');
+                if (isEraser) {
+                    // erase() only works while stroke is enabled; the colour itself doesn't matter
+                    if (current.stroke === 'noStroke();') set('stroke', 'stroke(0);');
+                    set('erase', 'erase();');
+                    erasing = true;
+                } else {
+                    set('stroke', `stroke(${colorArgs(item.color)});`);
+                }
+                setStrokeStyle(item);
+
+                const points = state.codeOptions.simplify > 0
+                    ? simplifyPath(item.points, state.codeOptions.simplify)
+                    : item.points;
+                const p = points.map(([x, y]) => `${roundCoord(x)}, ${roundCoord(y)}`);
+                const pressured = (item.pressureSize || item.pressureOpacity) && points.some(pt => pointPressure(pt) !== 1);
+
+                if (p.length === 1) {
+                    call(`point(${p[0]});`);
+                } else if (pressured && item.pressureOpacity) {
+                    // Translucent lines would darken where their round caps overlap (the same
+                    // problem as the dabs in stampStroke), so the stroke goes onto a buffer where
+                    // each line erases its area before drawing, and the buffer is drawn once
+                    lines = lines.concat(pressureBufferCalls(item, points, p));
+                    call(`image(${PRESSURE_BUFFER}, 0, 0);`);
+                } else if (pressured) {
+                    // A p5 shape has a single weight, so a pressure stroke becomes one line
+                    // per segment with the weight of its average pressure
+                    for (let i = 1; i < points.length; i++) {
+                        const { size } = dabStyle(item, (pointPressure(points[i - 1]) + pointPressure(points[i])) / 2);
+                        set('weight', `strokeWeight(${roundCoord(size)});`);
+                        call(`line(${p[i - 1]}, ${p[i]});`);
+                    }
+                } else if (p.length === 2) {
+                    call(`line(${p[0]}, ${p[1]});`);
+                } else {
+                    // The brush follows a Catmull-Rom spline through the points, which is
+                    // what curveVertex() draws; the end points are repeated as control points
+                    call('beginShape();');
+                    call(`curveVertex(${p[0]});`);
+                    p.forEach(v => call(`curveVertex(${v});`));
+                    call(`curveVertex(${p[p.length - 1]});`);
+                    call('endShape();');
+                }
+            } else if (item.type === 'cells') {
+                set('stroke', 'noStroke();');
+                if (isEraser) {
+                    // erase() needs fill enabled to erase the rects
+                    if (!current.fill || current.fill === 'noFill();') set('fill', 'fill(0);');
+                    set('erase', 'erase();');
+                    erasing = true;
+                } else {
+                    set('fill', `fill(${colorArgs(item.color)});`);
+                }
+                item.cells.forEach(cell => call(cellRect(cell)));
+            } else if (item.type === 'shape') {
+                set('fill', item.fill && item.kind !== 'line' ? `fill(${colorArgs(item.fill)});` : 'noFill();');
+                if (item.stroke) {
+                    set('stroke', `stroke(${colorArgs(item.stroke)});`);
+                    setStrokeStyle(item);
+                } else {
+                    set('stroke', 'noStroke();');
+                }
+                shapeCalls(item).forEach(call);
+            } else if (item.type === 'text') {
+                set('fill', `fill(${colorArgs(item.color)});`);
+                set('stroke', 'noStroke();');
+                set('textFont', `textFont(${fontArg(item.font)});`);
+                set('textSize', `textSize(${item.size});`);
+                set('textAlign', `textAlign(${item.align.toUpperCase()});`);
+                set('textStyle', `textStyle(${item.style.toUpperCase()});`);
+                call(`text(${jsString(item.text)}, ${roundCoord(item.x)}, ${roundCoord(item.y)});`);
+            }
+        });
+
+        if (erasing) call('noErase();');
+
+        return lines;
+    }
+
+    // Draws a pressure-opacity stroke on PRESSURE_BUFFER, one line per segment with the
+    // weight/alpha of its average pressure. Each line first erases its own area, so where
+    // lines overlap the later alpha replaces the earlier one instead of adding up.
+    function pressureBufferCalls(item, points, p) {
+        const b = PRESSURE_BUFFER;
+        // An eraser only needs the coverage, the buffer is drawn while erasing
+        const color = item.tool === 'eraser' ? '0' : colorArgs(item.color);
+        const lines = [
+            `if (!${b}) ${b} = createGraphics(${CONFIG.width}, ${CONFIG.height});`,
+            `${b}.clear();`,
+            `${b}.noFill();`,
+            item.shape === 'square' ? `${b}.strokeCap(PROJECT);` : `${b}.strokeCap(ROUND);`
+        ];
+        let weight = null;
+        for (let i = 1; i < points.length; i++) {
+            const { size, alpha } = dabStyle(item, (pointPressure(points[i - 1]) + pointPressure(points[i])) / 2);
+            if (roundCoord(size) !== weight) {
+                weight = roundCoord(size);
+                lines.push(`${b}.strokeWeight(${weight});`);
+            }
+            lines.push(`${b}.erase();`);
+            lines.push(`${b}.line(${p[i - 1]}, ${p[i]});`);
+            lines.push(`${b}.noErase();`);
+            lines.push(`${b}.stroke(${color}, ${Math.round(alpha * 255)});`);
+            lines.push(`${b}.line(${p[i - 1]}, ${p[i]});`);
+        }
+        return lines;
+    }
+
+    // textFont() argument: the variable of an uploaded font (see addUploadedFonts), or the family name
+    function fontArg(family) {
+        return state.fonts.some(font => font.family === family) ? fontIdentifier(family) : jsString(family);
+    }
+
+    function fontIdentifier(family) {
+        return `font_${family.replace(/[^\p{L}\p{N}_$]/gu, '_')}`;
+    }
+
+    // Single-quoted string literal. Quotes are written as \u0027 so that toInstanceMode()
+    // still finds where the string ends.
+    function jsString(text) {
+        const escaped = text.replace(/\\/g, '\\\\').replace(/'/g, '\\u0027').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+        return `'${escaped}'`;
+    }
+
+    // p5 calls for a shape item (rectMode CORNER and ellipseMode CENTER, the p5 defaults)
+    function shapeCalls(item) {
+        const c = roundCoord;
+        if (item.kind === 'line') {
+            return [`line(${c(item.x1)}, ${c(item.y1)}, ${c(item.x2)}, ${c(item.y2)});`];
+        }
+        if (item.kind === 'polygon') {
+            const vertices = item.points.map(([x, y]) => `vertex(${c(x)}, ${c(y)});`);
+            return ['beginShape();', ...vertices, 'endShape(CLOSE);'];
+        }
+        const { x, y, w, h } = shapeBounds(item);
+        if (item.kind === 'ellipse') {
+            return [`ellipse(${c(x + w / 2)}, ${c(y + h / 2)}, ${c(w)}, ${c(h)});`];
+        }
+        return [`rect(${c(x)}, ${c(y)}, ${c(w)}, ${c(h)});`];
+    }
+
+    // Ramer-Douglas-Peucker: drops points closer than `tolerance` px to the simplified line
+    function simplifyPath(points, tolerance) {
+        if (points.length < 3) return points;
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+        const stack = [[0, points.length - 1]];
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const [ax, ay] = points[first];
+            const [bx, by] = points[last];
+            const dx = bx - ax;
+            const dy = by - ay;
+            const len = Math.hypot(dx, dy);
+
+            let maxDist = 0;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const [px, py] = points[i];
+                const dist = len === 0
+                    ? Math.hypot(px - ax, py - ay)
+                    : Math.abs(dy * px - dx * py + bx * ay - by * ax) / len;
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    index = i;
+                }
+            }
+
+            if (maxDist > tolerance) {
+                keep[index] = true;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        return points.filter((_, i) => keep[i]);
+    }
+
+    function roundCoord(n) {
+        return Math.round(n * 10) / 10;
+    }
+
+    function hexToRgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    // '#ff8000' -> '255, 128, 0'
+    function colorArgs(hex) {
+        return hexToRgb(hex).join(', ');
+    }
+
+    // { r, g, b, a } -> 'r, g, b' or 'r, g, b, a' when partially transparent
+    function rgbaArgs({ r, g, b, a }) {
+        return a < 255 ? `${r}, ${g}, ${b}, ${a}` : `${r}, ${g}, ${b}`;
+    }
+
+    function backgroundCall() {
+        return CONFIG.bgColor === 'transparent' ? 'clear();' : `background(${colorArgs(CONFIG.bgColor)});`;
+    }
+
+    // True for flattened pixels that are exactly the background, which needs no rect
+    function isBackgroundPixel(r, g, b, a) {
+        if (CONFIG.bgColor === 'transparent') return a === 0;
+        const [br, bg, bb] = hexToRgb(CONFIG.bgColor);
+        return a === 255 && r === br && g === bg && b === bb;
+    }
+
+    // Median cut: starts with one box holding every colour in the image and keeps
+    // splitting the box with the widest channel range at its (pixel-weighted) median
+    // until there are `maxColors` boxes. Each box becomes its average colour.
+    // Pixels matching `isSkipped(r, g, b, a)` (the background) are left exactly as they are.
+    // Returns { palette: [[r, g, b], ...] (most used first), imageData (remapped) }
+    function quantizeImage(imageData, maxColors, isSkipped) {
+        const { width, height, data } = imageData;
+        const skip = (i) => isSkipped(data[i], data[i + 1], data[i + 2], data[i + 3]);
+
+        const counts = new Map(); // rgb key -> pixel count
+        for (let i = 0; i < data.length; i += 4) {
+            if (skip(i)) continue;
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        const colors = [...counts].map(([key, count]) => ({
+            key,
+            count,
+            rgb: [(key >> 16) & 255, (key >> 8) & 255, key & 255]
+        }));
+
+        const boxes = [colors];
+        while (boxes.length < maxColors) {
+            let best = -1;
+            let bestRange = 0;
+            let bestChannel = 0;
+            boxes.forEach((box, i) => {
+                if (box.length < 2) return;
+                for (let c = 0; c < 3; c++) {
+                    let min = 255;
+                    let max = 0;
+                    box.forEach(color => {
+                        min = Math.min(min, color.rgb[c]);
+                        max = Math.max(max, color.rgb[c]);
+                    });
+                    if (max - min > bestRange) {
+                        best = i;
+                        bestRange = max - min;
+                        bestChannel = c;
+                    }
+                }
+            });
+            if (best === -1) break; // Fewer colours than requested
+
+            const box = boxes[best];
+            box.sort((a, b) => a.rgb[bestChannel] - b.rgb[bestChannel]);
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            let cut = 1;
+            let acc = 0;
+            for (let i = 0; i < box.length - 1; i++) {
+                acc += box[i].count;
+                if (acc >= total / 2) {
+                    cut = i + 1;
+                    break;
+                }
+            }
+            boxes.splice(best, 1, box.slice(0, cut), box.slice(cut));
+        }
+
+        // Average each box, merging boxes that end up with the same colour
+        const entries = new Map(); // "r,g,b" -> { rgb, count }
+        const lookup = new Map(); // original rgb key -> palette entry
+        boxes.forEach(box => {
+            if (box.length === 0) return; // Nothing but background
+            let r = 0, g = 0, b = 0, total = 0;
+            box.forEach(color => {
+                r += color.rgb[0] * color.count;
+                g += color.rgb[1] * color.count;
+                b += color.rgb[2] * color.count;
+                total += color.count;
+            });
+            const rgb = [Math.round(r / total), Math.round(g / total), Math.round(b / total)];
+            const id = rgb.join(',');
+            if (!entries.has(id)) entries.set(id, { rgb, count: 0 });
+            const entry = entries.get(id);
+            entry.count += total;
+            box.forEach(color => lookup.set(color.key, entry));
+        });
+
+        const palette = [...entries.values()]
+            .sort((a, b) => b.count - a.count)
+            .map(entry => entry.rgb);
+
+        // Alpha is kept as it is
+        const out = new ImageData(width, height);
+        for (let i = 0; i < data.length; i += 4) {
+            if (skip(i)) {
+                out.data.set(data.subarray(i, i + 4), i);
+                continue;
+            }
+            const { rgb } = lookup.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+            out.data[i] = rgb[0];
+            out.data[i + 1] = rgb[1];
+            out.data[i + 2] = rgb[2];
+            out.data[i + 3] = data[i + 3];
+        }
+
+        return { palette, imageData: out };
+    }
+
+    function showQuantizePreview({ palette, imageData }) {
+        quantizeCanvas.width = imageData.width;
+        quantizeCanvas.height = imageData.height;
+        quantizeCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        paletteSwatches.innerHTML = '';
+        palette.forEach(([r, g, b], i) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'palette-swatch';
+            swatch.style.background = `rgb(${r}, ${g}, ${b})`;
+            swatch.title = `palette[${i}]`;
+            paletteSwatches.appendChild(swatch);
+        });
+
+        quantizePreview.classList.remove('hidden');
+    }
+
+    function flattenLayers(layers = state.layers) {
+        return flattenToCanvas(true, layers).getContext('2d').getImageData(0, 0, CONFIG.width, CONFIG.height);
+    }
+
+    function flattenToCanvas(withBackground, layers = state.layers) {
+        // Flatten all visible layers onto a temp canvas
+        const tempC = document.createElement('canvas');
+        tempC.width = CONFIG.width;
+        tempC.height = CONFIG.height;
+        drawComposite(tempC.getContext('2d'), withBackground, layers);
+        return tempC;
+    }
+
+    // Merges same-colour pixels into rectangles.
+    // 1. Each row is split into horizontal runs of one colour.
+    // 2. A run continues the rectangle above it if that rectangle has exactly
+    //    the same x, width and colour; otherwise it starts a new one.
+    // Returns [{ r, g, b, a, rects: [[x, y, w, h], ...] }], largest groups first.
+    // `isSkipped(r, g, b, a)` marks background pixels that don't need a rect.
+    function buildColorRects(imageData, isSkipped) {
+        const { width, height, data } = imageData;
+        const groups = new Map(); // colour key -> group
+        let open = new Map(); // "x,w,key" -> rect still growing downwards
+
+        for (let y = 0; y < height; y++) {
+            const nextOpen = new Map();
+            let x = 0;
+
+            while (x < width) {
+                const i = (y * width + x) * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                const a = data[i + 3];
+
+                // Extend the run while the colour stays the same
+                let end = x + 1;
+                while (end < width) {
+                    const j = (y * width + end) * 4;
+                    if (data[j] !== r || data[j + 1] !== g || data[j + 2] !== b || data[j + 3] !== a) break;
+                    end++;
+                }
+
+                if (!isSkipped(r, g, b, a)) {
+                    const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+                    const runKey = `${x},${end - x},${key}`;
+                    let rect = open.get(runKey);
+
+                    if (rect) {
+                        rect[3]++;
+                    } else {
+                        let group = groups.get(key);
+                        if (!group) {
+                            group = { r, g, b, a, rects: [] };
+                            groups.set(key, group);
+                        }
+                        rect = [x, y, end - x, 1];
+                        group.rects.push(rect);
+                    }
+                    nextOpen.set(runKey, rect);
+                }
+
+                x = end;
+            }
+
+            // Rectangles that didn't continue on this row are finished
+            open = nextOpen;
+        }
+
+        return [...groups.values()].sort((a, b) => b.rects.length - a.rects.length);
+    }
+
+    function showCodeStats(code) {
+        const lineCount = code.split('\n').length;
+        const bytes = new Blob([code]).size;
+        const size = bytes >= 1024 * 1024
+            ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+            : `${(bytes / 1024).toFixed(1)} KB`;
+        codeStats.textContent = `${lineCount.toLocaleString()} lines / ${size}`;
+    }
+
+    function copyCode() {
+        const output = document.getElementById('code-output');
+        navigator.clipboard.writeText(output.textContent).then(() => {
+            const btn = document.getElementById('btn-copy');
+            const originalText = btn.innerHTML;
+            btn.innerHTML = '<i class="fa-solid fa-check"></i> きょぴぃぃぃぃぃ';
+            setTimeout(() => {
+                btn.innerHTML = originalText;
+            }, 2000);
+        });
+    }
+
+    // --- Live Preview ---
+    // Runs the generated sketch in a sandboxed iframe with the bundled copy of p5, takes the
+    // first frame it draws and compares it pixel by pixel with the flattened layers.
+    // The iframe gets allow-scripts only, so the sketch can't reach into the app;
+    // the frame comes back by postMessage.
+    const PREVIEW_P5_SOURCE = 'libraries/p5.min.js';
+    const PREVIEW_WIDTH = 200; // Each view in the pane, px
+    const PREVIEW_TOLERANCE = 16; // Largest per-channel difference that still matches (antialiasing)
+    const PREVIEW_TIMEOUT = 10000; // ms to wait for the first frame
+
+    function runPreview() {
+        const code = state.generatedCode;
+        if (!code) return; // Still generating
+        closePreview();
+        previewPane.classList.remove('hidden');
+        previewStats.textContent = 'Running the sketch...';
+
+        // What the first frame should look like: frame 1, with the layers the code includes
+        const { width, height } = CONFIG;
+        const expected = flattenToCanvas(true, codeLayers(state.frames[0].layers));
+        previewCanvas.width = width;
+        previewCanvas.height = height;
+        previewCanvas.getContext('2d').drawImage(expected, 0, 0);
+        previewDiff.width = width;
+        previewDiff.height = height;
+
+        // Drawn at the document size (windowWidth too), shown scaled down
+        const scale = PREVIEW_WIDTH / width;
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.width = width;
+        frame.height = height;
+        frame.style.transform = `scale(${scale})`;
+        previewFrameBox.style.width = `${PREVIEW_WIDTH}px`;
+        previewFrameBox.style.height = `${Math.round(height * scale)}px`;
+        frame.srcdoc = previewDocument(code, width, height);
+
+        const timer = setTimeout(() => showPreviewResult({
+            type: 'error',
+            message: `No frame was drawn within ${PREVIEW_TIMEOUT / 1000} seconds.`
+        }), PREVIEW_TIMEOUT);
+        state.preview = { frame, timer, expected, done: false };
+        previewFrameBox.appendChild(frame);
+    }
+
+    // Stops the sketch; the pane itself is hidden only when the code modal closes
+    function closePreview() {
+        if (!state.preview) return;
+        clearTimeout(state.preview.timer);
+        state.preview.frame.remove();
+        state.preview = null;
+        if (modal.classList.contains('hidden')) previewPane.classList.add('hidden');
+    }
+
+    // message: { type: 'frame', data } with the RGBA pixels, or { type: 'error', message }
+    function showPreviewResult(message) {
+        const preview = state.preview;
+        if (!preview || preview.done) return;
+        preview.done = true; // The sketch keeps running in the pane, later frames don't count
+        clearTimeout(preview.timer);
+
+        const { width, height } = CONFIG;
+        const diffCtx = previewDiff.getContext('2d');
+        if (message.type !== 'frame') {
+            diffCtx.clearRect(0, 0, width, height);
+            previewStats.textContent = `プレビュー失敗（Preview failed）: ${message.message}`;
+            return;
+        }
+
+        if (message.data.length !== width * height * 4) {
+            previewStats.textContent = 'プレビュー失敗（Preview failed）: the frame has the wrong size';
+            return;
+        }
+        const expected = preview.expected.getContext('2d').getImageData(0, 0, width, height);
+        const diff = diffCtx.createImageData(width, height);
+        const mismatched = diffPixels(expected.data, message.data, diff.data);
+        diffCtx.putImageData(diff, 0, 0);
+
+        const percent = mismatched / (width * height) * 100;
+        previewStats.textContent = mismatched === 0
+            ? '一致（Match）: every pixel is the same'
+            : `不一致（Mismatch）: ${percent.toFixed(2)}% (${mismatched.toLocaleString()} px)`;
+    }
+
+    // Writes the diff view into `out`: mismatched pixels in red over a faded grey copy
+    // of the expected image. Returns the number of mismatched pixels.
+    function diffPixels(expected, actual, out) {
+        let mismatched = 0;
+        for (let i = 0; i < expected.length; i += 4) {
+            let same = true;
+            for (let c = 0; c < 4; c++) {
+                if (Math.abs(expected[i + c] - actual[i + c]) > PREVIEW_TOLERANCE) same = false;
+            }
+            if (same) {
+                const grey = (expected[i] + expected[i + 1] + expected[i + 2]) / 3 * expected[i + 3] / 255;
+                out[i] = out[i + 1] = out[i + 2] = 192 + grey / 4;
+            } else {
+                mismatched++;
+                out[i] = 255;
+                out[i + 1] = 0;
+                out[i + 2] = 0;
+            }
+            out[i + 3] = 255;
+        }
+        return mismatched;
+    }
+
+    // The sketch as a page of its own. <base> lets the relative p5 path resolve
+    // like it does for the app; a module gets the host sketch of the project export.
+    function previewDocument(code, width, height) {
+        const isModule = state.codeOptions.format === 'module';
+        let sketch = isModule
+            ? `${code}\n\n${moduleHostSketch().replace(/^import .*\n/, '')}`
+            : code;
+        // Uploaded fonts have no files next to the preview, they load from their data URLs
+        state.fonts.forEach(font => {
+            sketch = sketch.split(`loadFont('${font.file}')`).join(`loadFont('${font.data}')`);
+        });
+        const script = (js) => js.replace(/<\/script/gi, '<\\/script');
+        const base = document.baseURI.replace(/"/g, '&quot;');
+
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<base href="${base}">`,
+            '<style>html, body { margin: 0; overflow: hidden; } canvas { display: block; }</style>',
+            `<script src="${PREVIEW_P5_SOURCE}"></script>`,
+            '</head>',
+            '<body>',
+            `<script>${script(previewCaptureScript(width, height))}</script>`,
+            `<script${isModule ? ' type="module"' : ''}>`,
+            script(sketch),
+            '</script>',
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    // Runs in the iframe before the sketch. p5 calls 'post' methods after every draw(),
+    // in global and instance mode alike.
+    function previewCaptureScript(width, height) {
+        return `
+(() => {
+  const send = (message) => parent.postMessage(message, '*');
+  window.addEventListener('error', (e) => send({ type: 'error', message: e.message }));
+  if (typeof p5 === 'undefined') {
+    send({ type: 'error', message: '${PREVIEW_P5_SOURCE} could not be loaded' });
+    return;
+  }
+  let sent = false;
+  p5.prototype.registerMethod('post', function () {
+    if (sent) return;
+    sent = true;
+    // Copied at the document size, which also undoes the pixel density
+    const canvas = document.createElement('canvas');
+    canvas.width = ${width};
+    canvas.height = ${height};
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(this.canvas, 0, 0, ${width}, ${height});
+    send({ type: 'frame', data: ctx.getImageData(0, 0, ${width}, ${height}).data });
+  });
+})();
+`;
+    }
+
+    // --- Project Export ---
+    // A p5 web editor style project: index.html + sketch.js (+ style.css), zipped here in the browser
+    function downloadProject() {
+        if (!state.generatedCode) return; // Still generating
+
+        const encoder = new TextEncoder();
+        const isModule = state.codeOptions.format === 'module';
+        const files = [{ name: 'index.html', data: encoder.encode(projectIndexHtml(isModule)) }];
+        if (isModule) {
+            // The module plus a small host sketch that shows it
+            files.push({ name: 'artwork.js', data: encoder.encode(state.generatedCode + '\n') });
+            files.push({ name: 'sketch.js', data: encoder.encode(moduleHostSketch()) });
+        } else {
+            files.push({ name: 'sketch.js', data: encoder.encode(state.generatedCode + '\n') });
+        }
+        if (state.exportOptions.includeStyle) {
+            files.push({ name: 'style.css', data: encoder.encode(PROJECT_STYLE_CSS) });
+        }
+        // Uploaded fonts, where the sketch's loadFont() calls look for them
+        state.fonts.forEach(font => {
+            if (!state.generatedCode.includes(`loadFont('${font.file}')`)) return;
+            const binary = atob(font.data.slice(font.data.indexOf(',') + 1));
+            files.push({ name: font.file, data: Uint8Array.from(binary, c => c.charCodeAt(0)) });
+        });
+
+        // A local p5 path needs the file itself in the project, we have our bundled copy
+        bundledP5File().then(p5File => {
+            if (p5File) files.push(p5File);
+
+            const blob = new Blob([buildZip(files)], { type: 'application/zip' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `p5_project_${new Date().toISOString().slice(0, 10)}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+    }
+
+    // Resolves to { name, data } for the zip, or null when p5 comes from a URL.
+    // If the bundled copy can't be read (fetch doesn't work when the app is opened from
+    // file://) the project is still downloaded, with a warning that p5 has to be added.
+    function bundledP5File() {
+        const p5Source = state.exportOptions.p5Source || 'p5.min.js';
+        if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(p5Source)) return Promise.resolve(null);
+
+        const name = p5Source.replace(/^(\.?\/)+/, '');
+        const missing = () => {
+            alert(`p5.js isn't included in the project.\nPut p5.min.js at ${name}, or use a CDN URL.`);
+            return null;
+        };
+        if (name.split('/').includes('..')) return Promise.resolve(missing()); // Outside the project
+        return fetch(PREVIEW_P5_SOURCE)
+            .then(res => {
+                if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+                return res.arrayBuffer();
+            })
+            .then(buffer => ({ name, data: new Uint8Array(buffer) }), missing);
+    }
+
+    const PROJECT_STYLE_CSS = [
+        'html, body {',
+        '  margin: 0;',
+        '  padding: 0;',
+        '}',
+        '',
+        'canvas {',
+        '  display: block;',
+        '}',
+        ''
+    ].join('\n');
+
+    function moduleHostSketch() {
+        const hasPreload = state.generatedCode.includes('export function preloadArtwork');
+        const size = CONFIG.windowSized ? 'p.windowWidth, p.windowHeight' : `${CONFIG.width}, ${CONFIG.height}`;
+        const lines = [
+            `import { ${hasPreload ? 'preloadArtwork, ' : ''}drawArtwork } from './artwork.js';`,
+            ``,
+            `new p5((p) => {`
+        ];
+        if (hasPreload) lines.push(`  p.preload = () => preloadArtwork(p);`);
+        lines.push(
+            `  p.setup = () => {`,
+            `    p.createCanvas(${size});`,
+            `  };`,
+            `  p.draw = () => {`,
+            `    p.clear();`,
+            `    drawArtwork(p, 0, 0, 1);`,
+            `  };`,
+            `});`,
+            ``
+        );
+        return lines.join('\n');
+    }
+
+    // ES modules don't load from file://, a module project has to be served (e.g. npx serve)
+    function projectIndexHtml(isModule) {
+        const attr = (value) => value
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;');
+        const p5Source = state.exportOptions.p5Source || 'p5.min.js';
+
+        const lines = [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '  <head>',
+            `    <script src="${attr(p5Source)}"></script>`
+        ];
+        if (state.exportOptions.includeStyle) {
+            lines.push('    <link rel="stylesheet" type="text/css" href="style.css">');
+        }
+        lines.push(
+            '    <meta charset="utf-8" />',
+            '  </head>',
+            '  <body>',
+            '    <main>',
+            '    </main>',
+            `    <script${isModule ? ' type="module"' : ''} src="sketch.js"></script>`,
+            '  </body>',
+            '</html>',
+            ''
+        );
+        return lines.join('\n');
+    }
+
+    // Minimal zip writer: files are stored uncompressed, which every unzip tool accepts.
+    // files: [{ name, data: Uint8Array }]
+    function buildZip(files) {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const encoder = new TextEncoder();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+            const size = file.data.length;
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+            // Central directory entry
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            // Extra, comment, disk, attributes all zero
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+        // End of central directory
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let pos = 0;
+        parts.forEach(part => {
+            zip.set(part, pos);
+            pos += part.length;
+        });
+        return zip;
+    }
+
+    let crcTable = null;
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // --- Canvas Size ---
+    // Document size. Layer canvases are created at this size; the overlay and the
+    // wrapper follow it here.
+    function setCanvasSize(width, height, windowSized, pixelSize) {
+        CONFIG.width = width;
+        CONFIG.height = height;
+        CONFIG.windowSized = !!windowSized;
+        CONFIG.pixelSize = pixelSize || 0;
+        overlay.width = width;
+        overlay.height = height;
+        onionCanvas.width = width;
+        onionCanvas.height = height;
+        let text = windowSized ? `${width} × ${height} (window)` : `${width} × ${height}`;
+        if (CONFIG.pixelSize) {
+            text += ` / ${Math.ceil(width / pixelSize)} × ${Math.ceil(height / pixelSize)} cells`;
+        }
+        canvasSizeDisplay.textContent = text;
+        updateZoom(state.zoom);
+        drawOverlay(); // Resizing cleared it
+    }
+
+    // Size presets in the canvas dialog; 'window' takes the size of the browser window
+    // and makes the generated sketch use windowWidth/windowHeight.
+    function applyCanvasPreset(value) {
+        if (value === 'custom') return;
+        if (value === 'window') {
+            canvasWidthInput.value = window.innerWidth;
+            canvasHeightInput.value = window.innerHeight;
+        } else {
+            // 'WxH', or 'WxH@cell' for pixel art
+            const [size, cell] = value.split('@');
+            const [w, h] = size.split('x');
+            canvasWidthInput.value = w;
+            canvasHeightInput.value = h;
+            if (cell) {
+                canvasPixelArt.checked = true;
+                canvasCellSize.value = cell;
+            }
+        }
+    }
+
+    // The same dialog serves "New canvas" and "Canvas size"
+    function openCanvasDialog(mode) {
+        commitSelection(); // A floating selection goes down first
+        canvasModal.dataset.mode = mode;
+        canvasModalTitle.textContent = mode === 'new' ? '新しいキャンバス（New canvas）' : 'キャンバスサイズ（Canvas size）';
+        canvasResizeOptions.classList.toggle('hidden', mode === 'new');
+        canvasPixelOptions.classList.toggle('hidden', mode !== 'new');
+        canvasPixelArt.checked = CONFIG.pixelSize > 0;
+        canvasCellSize.value = CONFIG.pixelSize || 10;
+        canvasWidthInput.value = CONFIG.width;
+        canvasHeightInput.value = CONFIG.height;
+        canvasPreset.value = CONFIG.windowSized ? 'window' : 'custom';
+        canvasModal.classList.remove('hidden');
+    }
+
+    function confirmCanvasDialog() {
+        const width = parseInt(canvasWidthInput.value);
+        const height = parseInt(canvasHeightInput.value);
+        if (!(width >= 1 && width <= 8192 && height >= 1 && height <= 8192)) {
+            alert("Width and height must be between 1 and 8192.");
+            return;
+        }
+        const windowSized = canvasPreset.value === 'window';
+        const isNew = canvasModal.dataset.mode === 'new';
+        const pixelSize = !isNew ? CONFIG.pixelSize : canvasPixelArt.checked ? parseInt(canvasCellSize.value) : 0;
+        if (isNew && canvasPixelArt.checked && !(pixelSize >= 2 && pixelSize <= 100)) {
+            alert("The cell size must be between 2 and 100.");
+            return;
+        }
+        canvasModal.classList.add('hidden');
+
+        // Pixel art documents hold whole cells
+        const cells = (px) => pixelSize ? Math.ceil(px / pixelSize) * pixelSize : px;
+        if (isNew) {
+            newDocument(cells(width), cells(height), windowSized, pixelSize);
+        } else {
+            const anchor = anchorGrid.querySelector('button.active').dataset.anchor.split(',').map(Number);
+            resizeDocument(cells(width), cells(height), windowSized, canvasResizeMode.value, anchor);
+        }
+    }
+
+    // Replaces the document with a single empty layer; undoable like loading a file
+    function newDocument(width, height, windowSized, pixelSize) {
+        const before = documentSnapshot();
+        setCanvasSize(width, height, windowSized, pixelSize);
+
+        const layer = createLayerObject(1, "Background");
+        resetHistoryBase(layer);
+        const after = {
+            ...documentSnapshot(),
+            frames: [frameSnapshot({ layers: [layer], activeLayerId: layer.id })],
+            currentFrame: 0,
+            nextLayerId: 2,
+            fonts: [],
+            project: newProject('Untitled')
+        };
+        applyDocument(after);
+        pushHistory({
+            undo: () => applyDocument(before),
+            redo: () => applyDocument(after)
+        });
+    }
+
+    // mode 'scale' stretches every layer to the new size; 'crop' keeps the pixel size
+    // and crops or extends the canvas around `anchor` ([0..1, 0..1], e.g. [0.5, 0.5] = centre).
+    // The layers of every frame are rebuilt from their transformed items, so vector content stays sharp.
+    // The old layer objects stay untouched for undo.
+    function resizeDocument(width, height, windowSized, mode, anchor) {
+        const before = documentSnapshot();
+        const sx = mode === 'scale' ? width / CONFIG.width : 1;
+        const sy = mode === 'scale' ? height / CONFIG.height : 1;
+        // Pixel art moves by whole cells
+        const step = CONFIG.pixelSize || 1;
+        const dx = mode === 'scale' ? 0 : Math.round((width - CONFIG.width) * anchor[0] / step) * step;
+        const dy = mode === 'scale' ? 0 : Math.round((height - CONFIG.height) * anchor[1] / step) * step;
+
+        setCanvasSize(width, height, windowSized, CONFIG.pixelSize);
+        const frames = before.frames.map(({ layers, activeLayerId }) => frameSnapshot({
+            layers: layers.map(old => {
+                const layer = createLayerObject(old.id, old.name);
+                layer.visible = old.visible;
+                layer.opacity = old.opacity;
+                layer.blend = old.blend;
+                layer.reference = old.reference;
+                layer.items = old.items.map(item => transformItem(item, sx, sy, dx, dy));
+                renderLayer(layer);
+                resetHistoryBase(layer);
+                return layer;
+            }),
+            activeLayerId
+        }));
+
+        const after = { ...documentSnapshot(), frames };
+        applyDocument(after);
+        pushHistory({
+            undo: () => applyDocument(before),
+            redo: () => applyDocument(after)
+        });
+    }
+
+    // Copy of an item with every coordinate mapped to (x * sx + dx, y * sy + dy).
+    // Image items are redrawn onto a canvas of the current document size.
+    function transformItem(item, sx, sy, dx, dy) {
+        const map = ([x, y, ...rest]) => [x * sx + dx, y * sy + dy, ...rest]; // Keeps stroke pressure
+
+        if (item.type === 'stroke') {
+            return { ...item, points: item.points.map(map), size: item.size * (Math.abs(sx) + Math.abs(sy)) / 2 };
+        }
+        if (item.type === 'shape') {
+            const size = item.size * (Math.abs(sx) + Math.abs(sy)) / 2;
+            if (item.kind === 'polygon') {
+                return { ...item, points: item.points.map(map), size };
+            }
+            const [x1, y1] = map([item.x1, item.y1]);
+            const [x2, y2] = map([item.x2, item.y2]);
+            return { ...item, x1, y1, x2, y2, size };
+        }
+        if (item.type === 'text') {
+            const [x, y] = map([item.x, item.y]);
+            return { ...item, x, y, size: Math.max(1, Math.round(item.size * (Math.abs(sx) + Math.abs(sy)) / 2)) };
+        }
+        if (item.type === 'cells') {
+            // Cells stay cells when they only move by whole cells, otherwise they become pixels
+            const s = item.size;
+            if (sx === 1 && sy === 1 && dx % s === 0 && dy % s === 0) {
+                return { ...item, cells: item.cells.map(([col, row]) => [col + dx / s, row + dy / s]) };
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.width;
+            canvas.height = CONFIG.height;
+            drawCells(canvas.getContext('2d'), item);
+            return transformItem({ type: 'image', canvas }, sx, sy, dx, dy);
+        }
+        if (item.type === 'image') {
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.width;
+            canvas.height = CONFIG.height;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = !CONFIG.pixelSize;
+            ctx.setTransform(sx, 0, 0, sy, dx, dy);
+            ctx.drawImage(item.canvas, 0, 0);
+            return { type: 'image', canvas };
+        }
+        return item; // fill covers whatever size the canvas has
+    }
+
+    // --- Save / Load System ---
+    function saveProject() {
+        commitSelection(); // A floating selection goes down first
+        const projectData = serializeProject();
+
+        const blob = new Blob([JSON.stringify(projectData)], { type: "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `paint_project_${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+    }
+
+    // The project file contents, also what the local library stores
+    function serializeProject() {
+        return {
+            version: PROJECT_VERSION,
+            width: CONFIG.width,
+            height: CONFIG.height,
+            windowSized: CONFIG.windowSized,
+            pixelSize: CONFIG.pixelSize,
+            bgColor: CONFIG.bgColor,
+            nextLayerId: state.nextLayerId,
+            fps: state.fps,
+            currentFrame: state.currentFrame,
+            fonts: state.fonts,
+            frames: state.frames.map(frame => ({
+                activeLayerId: frame.activeLayerId,
+                layers: frame.layers.map(l => ({
+                    id: l.id,
+                    name: l.name,
+                    visible: l.visible,
+                    opacity: l.opacity,
+                    blend: l.blend,
+                    reference: l.reference,
+                    data: l.canvas.toDataURL(),
+                    items: serializeItems(l.items)
+                }))
+            }))
+        };
+    }
+
+    function loadProject(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        commitSelection(); // A floating selection goes down first
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let project;
+            try {
+                project = JSON.parse(event.target.result);
+            } catch (err) {
+                alert("Failed to load project file.\nIt isn't a project file (not valid JSON).");
+                return;
+            }
+            // A file becomes a new project in the library
+            restoreProject(project, newProject(file.name.replace(/\.json$/i, ''))).catch(err => {
+                alert(`Failed to load project file.\n${err.message}`);
+                console.error(err);
+            });
+        };
+        reader.readAsText(file);
+        // Reset input
+        e.target.value = '';
+    }
+
+    // Replaces the document with a project file's contents, as one undo step.
+    // All or nothing: the file is migrated and validated and every image decoded
+    // before anything changes, so a bad file leaves the current document as it was.
+    // Resolves once it's on screen; rejects with an Error naming the bad field.
+    // `local` is the library entry ({ id, name }) the document saves to from now on;
+    // `alreadySaved` when it comes from that entry, so there's nothing new to autosave
+    function restoreProject(data, local, alreadySaved) {
+        let project;
+        try {
+            project = validateProject(migrateProject(data));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return decodeProjectImages(project).then(images => {
+            // Loading is undoable: the current layers are kept in the load command
+            const before = documentSnapshot();
+            try {
+                stopPlayback();
+                // New layer canvases take the size of the project
+                setCanvasSize(project.width, project.height, project.windowSized, project.pixelSize);
+
+                // Layers were saved bottom to top, frames in order
+                const frames = project.frames.map(fData => {
+                    const layers = fData.layers.map(lData => {
+                        const layer = createLayerObject(lData.id, lData.name);
+                        layer.visible = lData.visible;
+                        layer.opacity = lData.opacity;
+                        layer.blend = lData.blend;
+                        layer.reference = lData.reference ?? false;
+                        layer.ctx.drawImage(images.get(lData.data), 0, 0);
+                        // Files from before items were saved only have the bitmap
+                        layer.items = lData.items
+                            ? deserializeItems(lData.items, images)
+                            : [{ type: 'image', canvas: cloneCanvas(layer.canvas) }];
+                        resetHistoryBase(layer);
+                        return layer;
+                    });
+                    // Active layer defaults to the top one
+                    const activeLayerId = fData.activeLayerId ?? layers[layers.length - 1].id;
+                    return frameSnapshot({ layers, activeLayerId });
+                });
+
+                const after = {
+                    width: project.width,
+                    height: project.height,
+                    windowSized: project.windowSized,
+                    pixelSize: project.pixelSize,
+                    frames,
+                    currentFrame: project.currentFrame,
+                    fps: project.fps,
+                    nextLayerId: project.nextLayerId,
+                    bgColor: project.bgColor,
+                    fonts: project.fonts ?? [],
+                    project: local
+                };
+                applyDocument(after);
+                pushHistory({
+                    undo: () => applyDocument(before),
+                    redo: () => applyDocument(after)
+                });
+                if (alreadySaved) cancelAutosave();
+            } catch (err) {
+                applyDocument(before);
+                throw err;
+            }
+        });
+    }
+
+    // Whole-document state, for commands that replace every layer (loading a file)
+    function documentSnapshot() {
+        return {
+            width: CONFIG.width,
+            height: CONFIG.height,
+            windowSized: CONFIG.windowSized,
+            pixelSize: CONFIG.pixelSize,
+            frames: state.frames.map(frameSnapshot),
+            currentFrame: state.currentFrame,
+            fps: state.fps,
+            nextLayerId: state.nextLayerId,
+            bgColor: CONFIG.bgColor,
+            fonts: state.fonts,
+            project: state.project
+        };
+    }
+
+    // The frame object itself stays the same, so commands recorded on it still find it
+    function frameSnapshot(frame) {
+        return { frame, layers: frame.layers.slice(), activeLayerId: frame.activeLayerId };
+    }
+
+    function applyDocument(doc) {
+        stopPlayback();
+        setCanvasSize(doc.width, doc.height, doc.windowSized, doc.pixelSize);
+        state.frames = doc.frames.map(({ frame, layers, activeLayerId }) =>
+            Object.assign(frame, { layers: layers.slice(), activeLayerId }));
+        state.nextLayerId = doc.nextLayerId;
+        state.fps = doc.fps;
+        frameFps.value = doc.fps;
+        state.project = doc.project;
+        state.fonts = doc.fonts;
+        renderFontOptions();
+        registerFonts(doc.fonts);
+        setBackground(doc.bgColor);
+        showFrame(doc.currentFrame);
+    }
+
+    // Image items hold a canvas, which is stored as a data URL
+    function serializeItems(items) {
+        return items.map(item => item.type === 'image'
+            ? { type: 'image', data: item.canvas.toDataURL() }
+            : item);
+    }
+
+    // `images` are the decoded data URLs (see decodeProjectImages)
+    function deserializeItems(items, images) {
+        return items.map(item => {
+            if (item.type !== 'image') return item;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.width;
+            canvas.height = CONFIG.height;
+            canvas.getContext('2d').drawImage(images.get(item.data), 0, 0);
+            return { type: 'image', canvas };
+        });
+    }
+
+    // --- Project File Format ---
+    // Project files (and library entries) are JSON, checked in two steps on load:
+    // 1. migrateProject() brings older versions up to PROJECT_VERSION, one version at a time
+    // 2. validateProject() checks every field of the current version
+    // Errors say which field is bad, e.g. 'frames[0].layers[1] ("Sky").opacity: expected a number from 0 to 1'.
+    //
+    // Version 2:
+    // { version, width, height, windowSized, pixelSize, bgColor, nextLayerId, fps, currentFrame, fonts,
+    //   frames: [{ activeLayerId, layers: [{ id, name, visible, opacity, blend, reference, data, items }] }] }
+    // data is a PNG data URL of the layer; items are drawItem() items, image items with a data URL.
+    // fonts are the uploaded fonts of text items [{ family, file, data (data URL) }].
+    // reference and fonts are optional (false, []): they came after version 2 and older apps
+    // just ignore them.
+    const PROJECT_VERSION = 2;
+    const MAX_CANVAS_SIZE = 8192;
+
+    // MIGRATIONS[n] turns a version n project into version n + 1
+    const MIGRATIONS = {
+        // Version 1 has a single stack of `layers` and no frames. Fields were added to it
+        // over time: files from before they existed get what the app used back then.
+        1: (project) => {
+            check(Array.isArray(project.layers), 'layers', 'expected an array of layers');
+            const { layers, ...rest } = project;
+            return {
+                ...rest,
+                version: 2,
+                // All 540 x 540, with the white background painted into their bottom layer
+                width: project.width ?? 540,
+                height: project.height ?? 540,
+                windowSized: project.windowSized ?? false,
+                pixelSize: project.pixelSize ?? 0,
+                bgColor: project.bgColor ?? '#ffffff',
+                fps: 12,
+                currentFrame: 0,
+                frames: [{
+                    layers: layers.map(layer => ({ opacity: 1, blend: 'normal', ...layer }))
+                }]
+            };
+        }
+    };
+
+    function migrateProject(data) {
+        check(isPlainObject(data), 'project', 'expected a JSON object');
+        const version = data.version ?? 1; // The very first files had no version
+        check(Number.isInteger(version) && version >= 1, 'version', 'expected a whole number');
+        check(version <= PROJECT_VERSION, 'version',
+            `the file is version ${version}, but this app only reads up to version ${PROJECT_VERSION}`);
+
+        let project = data;
+        for (let v = version; v < PROJECT_VERSION; v++) {
+            project = MIGRATIONS[v](project);
+        }
+        return project;
+    }
+
+    // Throws on the first problem; returns the project with nextLayerId made safe
+    function validateProject(project) {
+        const { width, height } = project;
+        check(isWholeNumber(width, 1, MAX_CANVAS_SIZE), 'width', `expected a whole number from 1 to ${MAX_CANVAS_SIZE}`);
+        check(isWholeNumber(height, 1, MAX_CANVAS_SIZE), 'height', `expected a whole number from 1 to ${MAX_CANVAS_SIZE}`);
+        check(typeof project.windowSized === 'boolean', 'windowSized', 'expected true or false');
+        check(project.pixelSize === 0 || isWholeNumber(project.pixelSize, 2, 100), 'pixelSize',
+            'expected 0 (off) or a cell size from 2 to 100');
+        check(project.bgColor === 'transparent' || isHexColor(project.bgColor), 'bgColor',
+            "expected a #rrggbb colour or 'transparent'");
+        check(isWholeNumber(project.fps, 1, 60), 'fps', 'expected a whole number from 1 to 60');
+        check(Array.isArray(project.frames) && project.frames.length > 0, 'frames', 'expected at least one frame');
+        check(isWholeNumber(project.currentFrame, 0, project.frames.length - 1), 'currentFrame',
+            `expected a frame index from 0 to ${project.frames.length - 1}`);
+        if (project.fonts !== undefined) {
+            check(Array.isArray(project.fonts), 'fonts', 'expected an array');
+            project.fonts.forEach((font, i) => validateFont(font, `fonts[${i}]`));
+        }
+
+        const ids = new Set();
+        project.frames.forEach((frame, f) => {
+            const path = `frames[${f}]`;
+            check(isPlainObject(frame), path, 'expected an object');
+            check(Array.isArray(frame.layers) && frame.layers.length > 0, `${path}.layers`, 'expected at least one layer');
+            frame.layers.forEach((layer, l) => validateLayer(layer, `${path}.layers[${l}]`, ids));
+            check(frame.activeLayerId === undefined || frame.layers.some(layer => layer.id === frame.activeLayerId),
+                `${path}.activeLayerId`, 'not the id of a layer in this frame');
+        });
+
+        // New layers must not reuse an id, whatever the file says
+        const nextLayerId = Math.max(...ids) + 1;
+        check(project.nextLayerId === undefined || Number.isInteger(project.nextLayerId), 'nextLayerId', 'expected a whole number');
+        return { ...project, nextLayerId: Math.max(project.nextLayerId || 1, nextLayerId) };
+    }
+
+    // `ids` collects the layer ids so far; they're unique across frames
+    function validateLayer(layer, path, ids) {
+        check(isPlainObject(layer), path, 'expected an object');
+        check(Number.isInteger(layer.id) && layer.id >= 0, `${path}.id`, 'expected a whole number');
+        check(!ids.has(layer.id), `${path}.id`, `${layer.id} is already used by another layer`);
+        ids.add(layer.id);
+        check(typeof layer.name === 'string', `${path}.name`, 'expected a string');
+
+        // The name makes it easier to find in the app
+        const label = `${path} ("${layer.name}")`;
+        check(typeof layer.visible === 'boolean', `${label}.visible`, 'expected true or false');
+        check(typeof layer.opacity === 'number' && layer.opacity >= 0 && layer.opacity <= 1,
+            `${label}.opacity`, 'expected a number from 0 to 1');
+        check(Object.hasOwn(BLEND_MODES, layer.blend), `${label}.blend`, `unknown blend mode '${layer.blend}'`);
+        check(layer.reference === undefined || typeof layer.reference === 'boolean', `${label}.reference`, 'expected true or false');
+        check(isImageDataURL(layer.data), `${label}.data`, 'expected an image data URL');
+        if (layer.items !== undefined) {
+            check(Array.isArray(layer.items), `${label}.items`, 'expected an array');
+            layer.items.forEach((item, i) => validateItem(item, `${label}.items[${i}]`));
+        }
+    }
+
+    function validateFont(font, path) {
+        check(isPlainObject(font), path, 'expected an object');
+        check(typeof font.family === 'string' && font.family !== '', `${path}.family`, 'expected a font family name');
+        // It becomes a file of the downloaded project
+        check(typeof font.file === 'string' && /^[\p{L}\p{N}_-]+\.(ttf|otf|woff)$/u.test(font.file), `${path}.file`,
+            'expected a TTF, OTF or WOFF file name');
+        check(typeof font.data === 'string' && font.data.startsWith('data:'), `${path}.data`, 'expected a data URL');
+    }
+
+    // Just what drawItem() and the code generator rely on (see drawItem for the item types)
+    function validateItem(item, path) {
+        check(isPlainObject(item), path, 'expected an object');
+        if (item.type === 'stroke' || item.type === 'cells') {
+            const list = item.type === 'stroke' ? 'points' : 'cells';
+            check(item.tool === 'pen' || item.tool === 'eraser', `${path}.tool`, "expected 'pen' or 'eraser'");
+            check(isHexColor(item.color), `${path}.color`, 'expected a #rrggbb colour');
+            check(typeof item.size === 'number' && item.size > 0, `${path}.size`, 'expected a positive number');
+            check(isPointList(item[list]), `${path}.${list}`, 'expected an array of [x, y] pairs');
+        } else if (item.type === 'shape') {
+            check(['line', 'rect', 'ellipse', 'polygon'].includes(item.kind), `${path}.kind`, `unknown shape '${item.kind}'`);
+            if (item.kind === 'polygon') {
+                check(isPointList(item.points), `${path}.points`, 'expected an array of [x, y] pairs');
+            } else {
+                check(['x1', 'y1', 'x2', 'y2'].every(key => Number.isFinite(item[key])), path, 'expected numbers x1, y1, x2 and y2');
+            }
+            check(item.fill == null || isHexColor(item.fill), `${path}.fill`, 'expected a #rrggbb colour or null');
+            check(item.stroke == null || isHexColor(item.stroke), `${path}.stroke`, 'expected a #rrggbb colour or null');
+        } else if (item.type === 'fill') {
+            check(isHexColor(item.color), `${path}.color`, 'expected a #rrggbb colour');
+        } else if (item.type === 'image') {
+            check(isImageDataURL(item.data), `${path}.data`, 'expected an image data URL');
+        } else if (item.type === 'text') {
+            check(typeof item.text === 'string', `${path}.text`, 'expected a string');
+            check(Number.isFinite(item.x) && Number.isFinite(item.y), path, 'expected numbers x and y');
+            check(typeof item.font === 'string' && item.font !== '', `${path}.font`, 'expected a font family name');
+            check(typeof item.size === 'number' && item.size > 0, `${path}.size`, 'expected a positive number');
+            check(TEXT_ALIGNS.includes(item.align), `${path}.align`, "expected 'left', 'center' or 'right'");
+            check(TEXT_STYLES.includes(item.style), `${path}.style`, "expected 'normal', 'bold', 'italic' or 'bolditalic'");
+            check(isHexColor(item.color), `${path}.color`, 'expected a #rrggbb colour');
+        } else {
+            throw new Error(`${path}.type: unknown item type '${item.type}'`);
+        }
+    }
+
+    function check(condition, path, problem) {
+        if (!condition) throw new Error(`${path}: ${problem}`);
+    }
+
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    function isWholeNumber(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    function isImageDataURL(value) {
+        return typeof value === 'string' && value.startsWith('data:image/');
+    }
+
+    function isPointList(value) {
+        return Array.isArray(value) && value.every(p => Array.isArray(p) && p.length >= 2 && p.every(Number.isFinite));
+    }
+
+    // Decodes every layer and image item data URL of a validated project.
+    // Resolves with a Map from data URL to its loaded Image; rejects if one can't be
+    // decoded or isn't the size of the project.
+    function decodeProjectImages(project) {
+        const sources = new Map(); // data URL -> path of the first place it's used
+        project.frames.forEach((frame, f) => frame.layers.forEach((layer, l) => {
+            const label = `frames[${f}].layers[${l}] ("${layer.name}")`;
+            if (!sources.has(layer.data)) sources.set(layer.data, `${label}.data`);
+            (layer.items || []).forEach((item, i) => {
+                if (item.type === 'image' && !sources.has(item.data)) sources.set(item.data, `${label}.items[${i}].data`);
+            });
+        }));
+
+        const images = new Map();
+        return Promise.all([...sources].map(([src, path]) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                if (img.width !== project.width || img.height !== project.height) {
+                    reject(new Error(`${path}: the image is ${img.width} × ${img.height}, but the project is ${project.width} × ${project.height}`));
+                    return;
+                }
+                images.set(src, img);
+                resolve();
+            };
+            img.onerror = () => reject(new Error(`${path}: the image data is corrupt`));
+            img.src = src;
+        }))).then(() => images);
+    }
+
+    // --- p5 Code Import ---
+    // Turns a p5 sketch back into a new project. The code is never run: parseSketch()
+    // reads a small, safe part of JavaScript (functions, variables, if/for, arithmetic,
+    // arrays and objects) and runSketch() walks it, turning every supported p5 call
+    // into a layer item, as if it had been drawn with the tools.
+    // - preload(), setup() and draw() run once, in that order. When draw() picks from a
+    //   `frames` array by frameCount (see addAnimation) it runs once per frame instead.
+    // - Instance mode (new p5((p) => { ... })) and the ES module export work too.
+    // - Each createGraphics() buffer has layers of its own, image() stacks them onto the
+    //   canvas with the tint() alpha as layer opacity and the blendMode() as blend mode.
+    // - A comment on its own line after a blank line starts a new layer named after it,
+    //   which is how the generated code labels its layers. So does calling drawLayer_<name>().
+    // Statements that can't be read or use anything else are skipped and listed as warnings.
+    const SKETCH_STEP_LIMIT = 2000000; // Interpreter steps before giving up (endless loops), the UI waits meanwhile
+    const SKETCH_LOOP_LIMIT = 100000; // Iterations of a single loop
+    const SKETCH_CALL_DEPTH = 200;
+    const SKETCH_FRAME_LIMIT = 120;
+    const SKETCH_PUNCTUATORS = ['===', '!==', '**', '=>', '==', '!=', '<=', '>=', '&&', '||', '??',
+        '++', '--', '+=', '-=', '*=', '/=', '%='];
+    const SKETCH_PRECEDENCE = {
+        '??': 1, '||': 2, '&&': 3,
+        '==': 4, '!=': 4, '===': 4, '!==': 4,
+        '<': 5, '>': 5, '<=': 5, '>=': 5,
+        '+': 6, '-': 6, '*': 7, '/': 7, '%': 7, '**': 8
+    };
+    // p5 constants by name; the blend modes map to BLEND_MODES keys
+    const SKETCH_CONSTANTS = {
+        ROUND: 'round', SQUARE: 'butt', PROJECT: 'square', MITER: 'miter', BEVEL: 'bevel',
+        CLOSE: 'close', CORNER: 'corner', CORNERS: 'corners', CENTER: 'center', RADIUS: 'radius',
+        RGB: 'rgb', HSB: 'hsb', HSL: 'hsl', P2D: 'p2d', WEBGL: 'webgl',
+        ADD: 'lighter', REMOVE: 'destination-out', REPLACE: 'copy',
+        LEFT: 'left', RIGHT: 'right', TOP: 'top', BOTTOM: 'bottom', BASELINE: 'alphabetic',
+        NORMAL: 'normal', BOLD: 'bold', ITALIC: 'italic', BOLDITALIC: 'bolditalic',
+        PI: Math.PI, TWO_PI: Math.PI * 2, TAU: Math.PI * 2, HALF_PI: Math.PI / 2, QUARTER_PI: Math.PI / 4
+    };
+    Object.entries(BLEND_MODES).forEach(([key, name]) => SKETCH_CONSTANTS[name] = key);
+
+    // Resolves with { project, warnings }, the project in the format restoreProject() reads
+    function importSketchCode(code) {
+        let program;
+        try {
+            program = parseSketch(code.replace(/\r\n?/g, '\n'));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return decodeSketchImages(code).then(images => {
+            const result = runSketch(program, images, code);
+            return { project: sketchProject(result), warnings: result.warnings };
+        });
+    }
+
+    // loadImage() only works with images embedded in the code (the 'image' output)
+    function decodeSketchImages(code) {
+        const urls = new Set(code.match(/data:image\/[\w+.-]+;base64,[A-Za-z0-9+/=]+/g) || []);
+        return Promise.all([...urls].map(url => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve([url, img]);
+            img.onerror = () => resolve(null);
+            img.src = url;
+        }))).then(entries => new Map(entries.filter(Boolean)));
+    }
+
+    // Tokens: { type: num|str|template|name|punct|label|eof, value, line, start, end }.
+    // Comments are dropped, except those that label a layer (see above).
+    function tokenizeSketch(code) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        let lastEnd = 0;
+
+        while (i < code.length) {
+            const ch = code[i];
+            if (ch === '\n') {
+                line++;
+                i++;
+                continue;
+            }
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const startLine = line;
+            const add = (type, value) => {
+                tokens.push({ type, value, line: startLine, start, end: i });
+                lastEnd = i;
+            };
+
+            if (code.startsWith('//', i)) {
+                const end = code.indexOf('\n', i);
+                i = end === -1 ? code.length : end;
+                const before = code.slice(lastEnd, start);
+                const prev = tokens[tokens.length - 1];
+                const ownLine = /\n[ \t]*$/.test(before);
+                if (ownLine && prev && (/\n[ \t]*\n/.test(before) || prev.value === '{')) {
+                    add('label', code.slice(start + 2, i).trim());
+                }
+            } else if (code.startsWith('/*', i)) {
+                const end = code.indexOf('*/', i + 2);
+                if (end === -1) throw new Error(`line ${startLine}: the comment is never closed`);
+                line += (code.slice(i, end).match(/\n/g) || []).length;
+                i = end + 2;
+            } else if (/[\d.]/.test(ch) && /^\.?\d/.test(code.slice(i, i + 2))) {
+                const match = code.slice(i).match(/^(0[xX][\da-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/);
+                i += match[0].length;
+                add('num', Number(match[0]));
+            } else if (ch === '"' || ch === "'" || ch === '`') {
+                let value = '';
+                i++;
+                while (code[i] !== ch) {
+                    if (i >= code.length || (code[i] === '\n' && ch !== '`')) {
+                        throw new Error(`line ${startLine}: the string is never closed`);
+                    }
+                    if (code[i] === '\n') line++;
+                    if (code[i] === '\\') {
+                        const escaped = code[i + 1];
+                        const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+                        if (escaped === 'u' || escaped === 'x') {
+                            const hex = escaped === 'u' ? code.slice(i + 2, i + 6) : code.slice(i + 2, i + 4);
+                            value += String.fromCharCode(parseInt(hex, 16));
+                            i += 2 + hex.length;
+                        } else {
+                            value += simple[escaped] ?? escaped;
+                            i += 2;
+                        }
+                    } else {
+                        value += code[i++];
+                    }
+                }
+                i++;
+                add(ch === '`' && value.includes('${') ? 'template' : 'str', value);
+            } else if (/[\p{L}_$]/u.test(ch)) {
+                const match = code.slice(i).match(/^[\p{L}\p{N}_$]+/u);
+                i += match[0].length;
+                add('name', match[0]);
+            } else {
+                const punct = SKETCH_PUNCTUATORS.find(p => code.startsWith(p, i)) || ch;
+                i += punct.length;
+                add('punct', punct);
+            }
+        }
+        tokens.push({ type: 'eof', value: '', line, start: code.length, end: code.length });
+        return tokens;
+    }
+
+    // Recursive descent parser for the supported JavaScript. Statements that don't parse
+    // become 'skip' nodes with the reason, and parsing carries on after them.
+    function parseSketch(code) {
+        const tokens = tokenizeSketch(code);
+        let pos = 0;
+        let last = tokens[0]; // The token before the current one, for automatic semicolons
+
+        // Labels only count where a statement starts, everywhere else they're passed over
+        const peek = (offset = 0) => {
+            let i = pos;
+            for (;;) {
+                while (tokens[i].type === 'label') i++;
+                if (offset === 0 || tokens[i].type === 'eof') return tokens[i];
+                offset--;
+                i++;
+            }
+        };
+        const next = () => {
+            while (tokens[pos].type === 'label') pos++;
+            const token = tokens[pos];
+            if (token.type !== 'eof') pos++;
+            last = token;
+            return token;
+        };
+        const is = (value, offset) => {
+            const token = peek(offset);
+            return (token.type === 'punct' || token.type === 'name') && token.value === value;
+        };
+        const unexpected = () => {
+            const token = peek();
+            throw new Error(token.type === 'eof' ? 'unexpected end of the code' : `unexpected '${token.value}'`);
+        };
+        const expect = (value) => {
+            if (!is(value)) unexpected();
+            return next();
+        };
+        const expectName = () => {
+            if (peek().type !== 'name') unexpected();
+            return next().value;
+        };
+        // The first line of a statement, for warnings
+        const sourceOf = (from) => {
+            const text = code.slice(tokens[from].start, Math.max(tokens[from].end, last.end)).split('\n')[0].trim();
+            return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+        };
+
+        function parseStatementSafely() {
+            const start = pos;
+            try {
+                const node = parseStatement();
+                node.text = sourceOf(start);
+                return node;
+            } catch (err) {
+                pos = start;
+                skipStatement();
+                if (pos === start) next(); // A stray token, e.g. '}' at the top level
+                return { type: 'skip', line: tokens[start].line, text: sourceOf(start), reason: err.message };
+            }
+        }
+
+        // Skips to after the next ';' or closed block at this level, or to the end of the enclosing block
+        function skipStatement() {
+            let depth = 0;
+            for (;;) {
+                const token = peek();
+                if (token.type === 'eof') return;
+                if (token.type === 'punct' && ')]}'.includes(token.value) && depth === 0) return;
+                next();
+                if (token.type !== 'punct') continue;
+                if ('([{'.includes(token.value)) {
+                    depth++;
+                } else if (')]}'.includes(token.value)) {
+                    depth--;
+                    if (depth === 0 && token.value === '}' && !['else', ')', ',', '.', ';'].some(v => is(v))) return;
+                } else if (token.value === ';' && depth === 0) {
+                    return;
+                }
+            }
+        }
+
+        function endStatement() {
+            if (is(';')) {
+                next();
+            } else if (!is('}') && peek().type !== 'eof' && peek().line === last.line) {
+                unexpected();
+            }
+        }
+
+        function parseStatement() {
+            if (tokens[pos].type === 'label') {
+                const token = tokens[pos++];
+                return { type: 'label', line: token.line, label: token.value };
+            }
+            const line = peek().line;
+            if (is('{')) return parseBlock();
+            if (is(';')) {
+                next();
+                return { type: 'empty', line };
+            }
+            if (is('export')) {
+                next();
+                if (is('default')) next();
+                return parseStatement();
+            }
+            if (is('function')) {
+                return { type: 'function', line, fn: parseFunction() };
+            }
+            if (is('let') || is('const') || is('var')) {
+                const node = parseDeclaration();
+                endStatement();
+                return node;
+            }
+            if (is('if')) {
+                next();
+                expect('(');
+                const test = parseExpression();
+                expect(')');
+                const then = parseStatement();
+                const otherwise = is('else') ? (next(), parseStatement()) : null;
+                return { type: 'if', line, test, then, otherwise };
+            }
+            if (is('for')) return parseFor();
+            if (is('return')) {
+                next();
+                const argument = is(';') || is('}') || peek().type === 'eof' || peek().line !== line
+                    ? null
+                    : parseExpression();
+                endStatement();
+                return { type: 'return', line, argument };
+            }
+            if (['import', 'class', 'while', 'do', 'switch', 'try', 'throw', 'break', 'continue'].some(v => is(v))) {
+                throw new Error(`'${peek().value}' isn't supported`);
+            }
+            const expression = parseExpression();
+            endStatement();
+            return { type: 'expression', line, expression };
+        }
+
+        function parseBlock() {
+            const line = expect('{').line;
+            const body = [];
+            while (!is('}')) {
+                if (peek().type === 'eof') unexpected();
+                body.push(parseStatementSafely());
+            }
+            next();
+            return { type: 'block', line, body };
+        }
+
+        function parseDeclaration() {
+            const line = next().line;
+            const declarations = [];
+            do {
+                if (declarations.length > 0) next(); // ,
+                const name = expectName();
+                const init = is('=') ? (next(), parseAssignment()) : null;
+                declarations.push({ name, init });
+            } while (is(','));
+            return { type: 'declaration', line, declarations };
+        }
+
+        function parseFor() {
+            const line = next().line;
+            expect('(');
+            if ((is('let') || is('const') || is('var')) && is('of', 2)) {
+                next();
+                const name = expectName();
+                next(); // of
+                const iterable = parseExpression();
+                expect(')');
+                return { type: 'forOf', line, name, iterable, body: parseStatement() };
+            }
+            let init = null;
+            if (is('let') || is('const') || is('var')) {
+                init = parseDeclaration();
+            } else if (!is(';')) {
+                init = { type: 'expression', line, expression: parseExpression() };
+            }
+            expect(';');
+            const test = is(';') ? null : parseExpression();
+            expect(';');
+            const update = is(')') ? null : parseExpression();
+            expect(')');
+            return { type: 'for', line, init, test, update, body: parseStatement() };
+        }
+
+        // function [name](params) { body }
+        function parseFunction() {
+            expect('function');
+            const name = peek().type === 'name' ? next().value : null;
+            const params = parseParams();
+            return { name, params, body: parseBlock() };
+        }
+
+        function parseParams() {
+            expect('(');
+            const params = [];
+            while (!is(')')) {
+                const name = expectName();
+                const fallback = is('=') ? (next(), parseAssignment()) : null;
+                params.push({ name, fallback });
+                if (!is(')')) expect(',');
+            }
+            next();
+            return params;
+        }
+
+        function isArrow() {
+            if (peek().type === 'name' && is('=>', 1)) return true;
+            if (!is('(')) return false;
+            let depth = 0;
+            for (let i = 0; ; i++) {
+                const token = peek(i);
+                if (token.type === 'eof') return false;
+                if (token.type !== 'punct') continue;
+                if (token.value === '(') depth++;
+                if (token.value === ')' && --depth === 0) return is('=>', i + 1);
+            }
+        }
+
+        function parseArrow() {
+            const params = peek().type === 'name' ? [{ name: next().value, fallback: null }] : parseParams();
+            expect('=>');
+            if (is('{')) return { type: 'function', fn: { name: null, params, body: parseBlock() } };
+            // A concise body returns its expression
+            const line = peek().line;
+            const body = { type: 'block', line, body: [{ type: 'return', line, argument: parseAssignment() }] };
+            return { type: 'function', fn: { name: null, params, body } };
+        }
+
+        // Comma sequences aren't supported, an expression is an assignment at most
+        function parseExpression() {
+            return parseAssignment();
+        }
+
+        function parseAssignment() {
+            if (isArrow()) return parseArrow();
+            const target = parseConditional();
+            if (peek().type === 'punct' && ['=', '+=', '-=', '*=', '/=', '%='].includes(peek().value)) {
+                if (target.type !== 'name' && target.type !== 'member') unexpected();
+                const op = next().value;
+                return { type: 'assign', op, target, value: parseAssignment() };
+            }
+            return target;
+        }
+
+        function parseConditional() {
+            const test = parseBinary(0);
+            if (!is('?')) return test;
+            next();
+            const then = parseAssignment();
+            expect(':');
+            return { type: 'conditional', test, then, otherwise: parseAssignment() };
+        }
+
+        function parseBinary(minPrecedence) {
+            let left = parseUnary();
+            for (;;) {
+                const token = peek();
+                const precedence = token.type === 'punct' ? SKETCH_PRECEDENCE[token.value] : undefined;
+                if (!precedence || precedence <= minPrecedence) return left;
+                next();
+                // ** groups to the right
+                const right = parseBinary(token.value === '**' ? precedence - 1 : precedence);
+                left = { type: 'binary', op: token.value, left, right };
+            }
+        }
+
+        function parseUnary() {
+            if (peek().type === 'punct' && ['-', '+', '!'].includes(peek().value)) {
+                const op = next().value;
+                return { type: 'unary', op, argument: parseUnary() };
+            }
+            if (is('++') || is('--')) {
+                const op = next().value;
+                return { type: 'update', op, prefix: true, target: parseUnary() };
+            }
+            const expression = parseCallChain();
+            if ((is('++') || is('--')) && peek().line === last.line) {
+                return { type: 'update', op: next().value, prefix: false, target: expression };
+            }
+            return expression;
+        }
+
+        function parseCallChain() {
+            let expression;
+            if (is('new')) {
+                next();
+                const callee = { type: 'name', name: expectName() };
+                expression = { type: 'new', callee, args: is('(') ? parseArguments() : [] };
+            } else {
+                expression = parsePrimary();
+            }
+            for (;;) {
+                if (is('.')) {
+                    next();
+                    expression = { type: 'member', object: expression, property: { type: 'literal', value: expectName() } };
+                } else if (is('[')) {
+                    next();
+                    const property = parseExpression();
+                    expect(']');
+                    expression = { type: 'member', object: expression, property };
+                } else if (is('(')) {
+                    const line = peek().line; // For the warnings of the p5 functions
+                    expression = { type: 'call', callee: expression, args: parseArguments(), line };
+                } else {
+                    return expression;
+                }
+            }
+        }
+
+        function parseArguments() {
+            expect('(');
+            const args = [];
+            while (!is(')')) {
+                args.push(parseAssignment());
+                if (!is(')')) expect(',');
+            }
+            next();
+            return args;
+        }
+
+        function parsePrimary() {
+            const token = peek();
+            if (token.type === 'num' || token.type === 'str') {
+                next();
+                return { type: 'literal', value: token.value };
+            }
+            if (token.type === 'template') throw new Error('template strings with ${} aren\'t supported');
+            if (token.type === 'name') {
+                const literals = { true: true, false: false, null: null, undefined: undefined };
+                if (Object.hasOwn(literals, token.value)) {
+                    next();
+                    return { type: 'literal', value: literals[token.value] };
+                }
+                if (token.value === 'function') return { type: 'function', fn: parseFunction() };
+                if (token.value === 'this' || token.value === 'typeof') throw new Error(`'${token.value}' isn't supported`);
+                next();
+                return { type: 'name', name: token.value };
+            }
+            if (is('(')) {
+                next();
+                const expression = parseExpression();
+                expect(')');
+                return expression;
+            }
+            if (is('[')) {
+                next();
+                const elements = [];
+                while (!is(']')) {
+                    elements.push(parseAssignment());
+                    if (!is(']')) expect(',');
+                }
+                next();
+                return { type: 'array', elements };
+            }
+            if (is('{')) {
+                next();
+                const properties = [];
+                while (!is('}')) {
+                    const key = next();
+                    if (!['name', 'str', 'num'].includes(key.type)) throw new Error(`unexpected '${key.value}'`);
+                    // { a } is { a: a }
+                    const value = key.type === 'name' && !is(':') ? { type: 'name', name: key.value } : (expect(':'), parseAssignment());
+                    properties.push({ key: String(key.value), value });
+                    if (!is('}')) expect(',');
+                }
+                next();
+                return { type: 'object', properties };
+            }
+            unexpected();
+        }
+
+        const body = [];
+        while (peek().type !== 'eof' || tokens[pos].type === 'label') body.push(parseStatementSafely());
+        return { body };
+    }
+
+    // Walks the parsed sketch like p5 would run it, collecting layers instead of pixels.
+    // Returns { width, height, windowSized, pixelSize, bgColor, fps, frames: [[layer]], warnings },
+    // a layer being { name, visible, opacity, blend, items }.
+    function runSketch(program, images, code) {
+        const warnings = new Map(); // Text -> times seen, duplicates are counted
+        let steps = 0;
+        let depth = 0;
+        let frameCount = 0;
+        let pendingLabel = null;
+        let labelEpoch = 0; // Bumped by each label, so drawing after it starts a new layer
+        let layerCount = 0;
+        const translucent = new WeakSet(); // Image items that collect translucent drawing (see addItem)
+        const instances = [];
+
+        const doc = {
+            width: 100, // p5's canvas without createCanvas()
+            height: 100,
+            windowSized: false,
+            bgColor: 'transparent',
+            fps: 60
+        };
+        // The generated pixel art code has a `const s` for its cells (see processAllLayers)
+        const cellSize = code.match(/const s = (\d+); \/\/ Size of one pixel art cell/);
+        const pixelSize = cellSize && isWholeNumber(Number(cellSize[1]), 2, 100) ? Number(cellSize[1]) : 0;
+
+        const fatal = (message) => {
+            const err = new Error(message);
+            err.fatal = true;
+            throw err;
+        };
+        const step = () => {
+            if (++steps > SKETCH_STEP_LIMIT) fatal('The sketch takes too long to import (an endless loop?).');
+        };
+        const warn = (line, text) => {
+            const key = `line ${line}: ${text}`;
+            warnings.set(key, (warnings.get(key) || 0) + 1);
+        };
+
+        // --- Drawing targets: the canvas and the createGraphics() buffers ---
+        function createTarget(width, height, main) {
+            return { main, name: null, width, height, layers: [], open: null, style: defaultStyle(), stack: [], shape: null, scratch: null };
+        }
+        function defaultStyle() {
+            return {
+                fill: { r: 255, g: 255, b: 255, a: 255 },
+                stroke: { r: 0, g: 0, b: 0, a: 255 },
+                weight: 1,
+                cap: 'round',
+                erasing: false,
+                rectMode: 'corner',
+                ellipseMode: 'center',
+                transform: [1, 1, 0, 0], // sx, sy, tx, ty
+                tint: 255,
+                blend: 'normal',
+                font: 'sans-serif',
+                textSize: 12,
+                textAlign: 'left',
+                textStyle: 'normal'
+            };
+        }
+        const main = createTarget(doc.width, doc.height, true);
+
+        function startLabel(text) {
+            pendingLabel = text;
+            labelEpoch++;
+        }
+
+        // The layer that drawing on `target` goes into
+        function openLayer(target) {
+            const open = target.open;
+            if (open && open.epoch === labelEpoch && open.blend === target.style.blend) return open;
+            const name = pendingLabel || (!target.main && target.name) || `Layer ${++layerCount}`;
+            pendingLabel = null;
+            const layer = { name, visible: true, opacity: 1, blend: target.style.blend, items: [], epoch: labelEpoch };
+            target.layers.push(layer);
+            target.open = layer;
+            return layer;
+        }
+
+        // Items have no alpha of their own: translucent drawing is rendered into an image item
+        function addItem(target, item, alpha) {
+            if (alpha <= 0) return;
+            const layer = openLayer(target);
+            if (alpha >= 255) {
+                layer.items.push(item);
+                return;
+            }
+            let image = layer.items[layer.items.length - 1];
+            if (!translucent.has(image)) {
+                image = { type: 'image', canvas: sketchCanvas(target.width, target.height) };
+                translucent.add(image);
+                layer.items.push(image);
+            }
+            // The item is drawn opaque first, on a scratch canvas kept for the target
+            const { width, height } = target;
+            if (!target.scratch || target.scratch.width !== width || target.scratch.height !== height) {
+                target.scratch = sketchCanvas(width, height);
+            }
+            const scratch = target.scratch.getContext('2d');
+            scratch.clearRect(0, 0, width, height);
+            drawItem(scratch, item);
+            const ctx = image.canvas.getContext('2d');
+            ctx.globalAlpha = alpha / 255;
+            ctx.drawImage(target.scratch, 0, 0);
+            ctx.globalAlpha = 1;
+        }
+
+        const mapPoint = (target, x, y) => {
+            const [sx, sy, tx, ty] = target.style.transform;
+            return [x * sx + tx, y * sy + ty];
+        };
+        const mapSize = (target, size) => {
+            const [sx, sy] = target.style.transform;
+            return size * (Math.abs(sx) + Math.abs(sy)) / 2;
+        };
+        const capShape = (target) => target.style.cap === 'square' ? 'square' : 'round';
+
+        // point(), curves and anything erased become strokes, like the pen and eraser draw them
+        function addStroke(target, points) {
+            const { stroke, erasing, weight } = target.style;
+            const size = mapSize(target, weight);
+            if (!stroke || !(size > 0)) return; // p5 only erases where the stroke would be
+            addItem(target, {
+                type: 'stroke',
+                tool: erasing ? 'eraser' : 'pen',
+                color: colorHex(stroke),
+                size,
+                shape: capShape(target),
+                points,
+                pressureSize: false,
+                pressureOpacity: false,
+                pressureCurve: 1
+            }, erasing ? 255 : stroke.a);
+        }
+
+        function addShape(target, kind, geometry) {
+            const { fill, stroke, erasing, weight } = target.style;
+            if (erasing) throw new Error('erase() only works on lines, curves and pixel art cells here');
+            const hasFill = fill && kind !== 'line';
+            if (!hasFill && !stroke) return;
+
+            const shape = { type: 'shape', kind, ...geometry, fill: null, stroke: null, size: mapSize(target, weight), shape: capShape(target) };
+            // A shape item has one alpha, fill and stroke with different ones are drawn apart
+            if (hasFill && stroke && fill.a !== stroke.a) {
+                addItem(target, { ...shape, fill: colorHex(fill) }, fill.a);
+                addItem(target, { ...shape, stroke: colorHex(stroke) }, stroke.a);
+                return;
+            }
+            addItem(target, {
+                ...shape,
+                fill: hasFill ? colorHex(fill) : null,
+                stroke: stroke ? colorHex(stroke) : null
+            }, hasFill ? fill.a : stroke.a);
+        }
+
+        // Axis-aligned box from rectMode()/ellipseMode() arguments, in document coordinates
+        function boxGeometry(target, mode, a, b, c, d) {
+            const corners = {
+                corner: [a, b, a + c, b + d],
+                corners: [a, b, c, d],
+                center: [a - c / 2, b - d / 2, a + c / 2, b + d / 2],
+                radius: [a - c, b - d, a + c, b + d]
+            }[mode];
+            const [x1, y1] = mapPoint(target, corners[0], corners[1]);
+            const [x2, y2] = mapPoint(target, corners[2], corners[3]);
+            return { x1, y1, x2, y2 };
+        }
+
+        // A pixel art cell of the generated code: rect(col * s, row * s, s, s)
+        function addCell(target, x, y, w, h) {
+            const { fill, stroke, erasing, transform } = target.style;
+            const plain = transform.every((v, i) => v === [1, 1, 0, 0][i]);
+            if (!pixelSize || !plain || stroke || !fill || fill.a !== 255
+                || w !== pixelSize || h !== pixelSize || x % pixelSize !== 0 || y % pixelSize !== 0) return false;
+
+            const tool = erasing ? 'eraser' : 'pen';
+            const color = erasing ? '#000000' : colorHex(fill);
+            const layer = openLayer(target);
+            const lastItem = layer.items[layer.items.length - 1];
+            const cell = [x / pixelSize, y / pixelSize];
+            if (lastItem && lastItem.type === 'cells' && lastItem.tool === tool && lastItem.color === color) {
+                lastItem.cells.push(cell);
+            } else {
+                layer.items.push({ type: 'cells', tool, color, size: pixelSize, cells: [cell] });
+            }
+            return true;
+        }
+
+        function finishShape(target, close, line) {
+            const vertices = target.shape;
+            target.shape = null;
+            if (vertices.length === 0) return;
+            const points = vertices.map(v => v.point);
+
+            if (vertices.every(v => v.curve)) {
+                // curveVertex() uses the first and last vertex as control points only
+                if (target.style.fill && !target.style.erasing) warn(line, 'a filled curveVertex() shape is imported as a line');
+                addStroke(target, points.length > 2 ? points.slice(1, -1) : points);
+                return;
+            }
+            if (vertices.some(v => v.curve)) warn(line, 'curveVertex() mixed with vertex() is imported with straight lines');
+            if (close) {
+                addShape(target, 'polygon', { points });
+                return;
+            }
+            // An open shape is filled as if closed, but its outline stays open
+            const { stroke } = target.style;
+            target.style.stroke = null;
+            if (points.length > 2) addShape(target, 'polygon', { points });
+            target.style.stroke = stroke;
+            const fill = target.style.fill;
+            target.style.fill = null;
+            for (let i = 1; i < points.length; i++) {
+                const [x1, y1] = points[i - 1];
+                const [x2, y2] = points[i];
+                addShape(target, 'line', { x1, y1, x2, y2 });
+            }
+            target.style.fill = fill;
+        }
+
+        // image() of a buffer or a loaded image
+        function addImage(target, source, x, y, w, h) {
+            const [sx, sy, tx, ty] = target.style.transform;
+            if (source.kind === 'graphics') {
+                const buffer = source.target;
+                const plain = sx === 1 && sy === 1 && tx === 0 && ty === 0 && x === 0 && y === 0
+                    && (w ?? buffer.width) === buffer.width && (h ?? buffer.height) === buffer.height
+                    && buffer.width === target.width && buffer.height === target.height;
+                if (plain) {
+                    // The buffer's layers go on top, as layers of their own
+                    target.open = null;
+                    buffer.layers.forEach(layer => target.layers.push({
+                        ...layer,
+                        items: layer.items.slice(),
+                        opacity: layer.opacity * target.style.tint / 255,
+                        blend: layer.blend === 'normal' ? target.style.blend : layer.blend
+                    }));
+                    return;
+                }
+                source = { image: renderSketchLayers(buffer.layers, buffer.width, buffer.height) };
+            }
+            const image = source.image;
+            const [x1, y1] = mapPoint(target, x, y);
+            const [x2, y2] = mapPoint(target, x + (w ?? image.width), y + (h ?? image.height));
+            const canvas = sketchCanvas(target.width, target.height);
+            canvas.getContext('2d').drawImage(image, x1, y1, x2 - x1, y2 - y1);
+            addItem(target, { type: 'image', canvas }, target.style.tint);
+        }
+
+        // --- p5 functions: (target, args, node) ---
+        const num = (value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`expected a number, got ${describeValue(value)}`);
+            return value;
+        };
+        const drawing = {
+            createCanvas: (target, args, node) => {
+                if (!target.main) throw new Error('createCanvas() on a buffer');
+                if (args[2] === 'webgl') fatal('WEBGL sketches can\'t be imported.');
+                const sizeArg = node.args[0];
+                doc.windowSized = Boolean(sizeArg) && (sizeArg.name === 'windowWidth'
+                    || (sizeArg.type === 'member' && sizeArg.property.value === 'windowWidth'));
+                const width = Math.round(num(args[0]));
+                const height = Math.round(num(args[1]));
+                if (!isWholeNumber(width, 1, MAX_CANVAS_SIZE) || !isWholeNumber(height, 1, MAX_CANVAS_SIZE)) {
+                    fatal(`The canvas must be between 1 and ${MAX_CANVAS_SIZE} px wide and high.`);
+                }
+                main.width = doc.width = width;
+                main.height = doc.height = height;
+            },
+            createGraphics: (target, args) => {
+                const width = Math.round(num(args[0]));
+                const height = Math.round(num(args[1]));
+                if (!isWholeNumber(width, 1, MAX_CANVAS_SIZE) || !isWholeNumber(height, 1, MAX_CANVAS_SIZE)) {
+                    throw new Error('the buffer size is out of range');
+                }
+                return { kind: 'graphics', target: createTarget(width, height, false) };
+            },
+            background: (target, args) => {
+                const color = sketchColor(args);
+                if (target.main && (color.a === 255 || target.layers.length === 0)) {
+                    // Covers everything drawn so far, so it's the document background from here on
+                    if (color.a < 255) throw new Error('a translucent background is imported as opaque');
+                    target.layers = [];
+                    target.open = null;
+                    doc.bgColor = colorHex(color);
+                    return;
+                }
+                addItem(target, { type: 'fill', color: colorHex(color) }, color.a);
+            },
+            clear: (target) => {
+                target.layers = [];
+                target.open = null;
+                if (target.main) doc.bgColor = 'transparent';
+            },
+            fill: (target, args) => {
+                target.style.fill = sketchColor(args);
+            },
+            noFill: (target) => {
+                target.style.fill = null;
+            },
+            stroke: (target, args) => {
+                target.style.stroke = sketchColor(args);
+            },
+            noStroke: (target) => {
+                target.style.stroke = null;
+            },
+            strokeWeight: (target, args) => {
+                target.style.weight = num(args[0]);
+            },
+            strokeCap: (target, args) => {
+                target.style.cap = args[0];
+            },
+            strokeJoin: () => {},
+            erase: (target, args, node) => {
+                if (args.length > 0 && (args[0] < 255 || (args.length > 1 && args[1] < 255))) {
+                    warn(node.line, 'erase() strength is imported as full strength');
+                }
+                target.style.erasing = true;
+            },
+            noErase: (target) => {
+                target.style.erasing = false;
+            },
+            rectMode: (target, args) => {
+                target.style.rectMode = boxMode(args[0]);
+            },
+            ellipseMode: (target, args) => {
+                target.style.ellipseMode = boxMode(args[0]);
+            },
+            push: (target) => {
+                target.stack.push({ ...target.style, transform: target.style.transform.slice() });
+            },
+            pop: (target) => {
+                if (target.stack.length > 0) target.style = target.stack.pop();
+            },
+            translate: (target, args) => {
+                const t = target.style.transform;
+                t[2] += num(args[0]) * t[0];
+                t[3] += num(args[1] ?? 0) * t[1];
+            },
+            scale: (target, args) => {
+                const t = target.style.transform;
+                t[0] *= num(args[0]);
+                t[1] *= num(args[1] ?? args[0]);
+            },
+            rotate: (target, args) => {
+                if (num(args[0]) !== 0) throw new Error('rotate() isn\'t supported');
+            },
+            point: (target, args) => {
+                addStroke(target, [mapPoint(target, num(args[0]), num(args[1]))]);
+            },
+            line: (target, args) => {
+                const [x1, y1] = mapPoint(target, num(args[0]), num(args[1]));
+                const [x2, y2] = mapPoint(target, num(args[2]), num(args[3]));
+                if (target.style.erasing) {
+                    addStroke(target, [[x1, y1], [x2, y2]]);
+                } else {
+                    addShape(target, 'line', { x1, y1, x2, y2 });
+                }
+            },
+            rect: (target, args, node) => {
+                const [x, y, w] = args.slice(0, 3).map(num);
+                const h = num(args[3] ?? w);
+                if (args.length > 4) warn(node.line, 'rounded corners of rect() are imported as square');
+                if (target.style.rectMode === 'corner' && addCell(target, x, y, w, h)) return;
+                const box = boxGeometry(target, target.style.rectMode, x, y, w, h);
+                // A plain rect over the whole empty canvas is its background, as the ES module draws it
+                const { fill, stroke, erasing } = target.style;
+                if (target.main && target.layers.length === 0 && fill && fill.a === 255 && !stroke && !erasing
+                    && Math.min(box.x1, box.x2) <= 0 && Math.min(box.y1, box.y2) <= 0
+                    && Math.max(box.x1, box.x2) >= target.width && Math.max(box.y1, box.y2) >= target.height) {
+                    doc.bgColor = colorHex(fill);
+                    return;
+                }
+                addShape(target, 'rect', box);
+            },
+            square: (target, args, node) => drawing.rect(target, [args[0], args[1], args[2], args[2]], node),
+            ellipse: (target, args) => {
+                const [x, y, w] = args.slice(0, 3).map(num);
+                const h = num(args[3] ?? w);
+                addShape(target, 'ellipse', boxGeometry(target, target.style.ellipseMode, x, y, w, h));
+            },
+            circle: (target, args) => drawing.ellipse(target, [args[0], args[1], args[2], args[2]]),
+            triangle: (target, args) => {
+                const points = [0, 2, 4].map(i => mapPoint(target, num(args[i]), num(args[i + 1])));
+                addShape(target, 'polygon', { points });
+            },
+            quad: (target, args) => {
+                const points = [0, 2, 4, 6].map(i => mapPoint(target, num(args[i]), num(args[i + 1])));
+                addShape(target, 'polygon', { points });
+            },
+            beginShape: (target, args) => {
+                if (args[0] !== undefined) throw new Error('beginShape() with a kind isn\'t supported');
+                target.shape = [];
+            },
+            vertex: (target, args) => {
+                if (!target.shape) throw new Error('vertex() outside beginShape()');
+                target.shape.push({ point: mapPoint(target, num(args[0]), num(args[1])), curve: false });
+            },
+            curveVertex: (target, args) => {
+                if (!target.shape) throw new Error('curveVertex() outside beginShape()');
+                target.shape.push({ point: mapPoint(target, num(args[0]), num(args[1])), curve: true });
+            },
+            endShape: (target, args, node) => {
+                if (!target.shape) throw new Error('endShape() without beginShape()');
+                finishShape(target, args[0] === 'close', node.line);
+            },
+            image: (target, args) => {
+                const source = args[0];
+                if (!source || (source.kind !== 'graphics' && source.kind !== 'image')) {
+                    throw new Error('image() needs a createGraphics() buffer or a loadImage() image');
+                }
+                addImage(target, source, num(args[1] ?? 0), num(args[2] ?? 0), args[3], args[4]);
+            },
+            tint: (target, args, node) => {
+                const color = sketchColor(args);
+                if (color.r !== 255 || color.g !== 255 || color.b !== 255) warn(node.line, 'only the alpha of tint() is imported');
+                target.style.tint = color.a;
+            },
+            noTint: (target) => {
+                target.style.tint = 255;
+            },
+            blendMode: (target, args) => {
+                if (!Object.hasOwn(BLEND_MODES, args[0])) throw new Error('this blend mode isn\'t supported');
+                target.style.blend = args[0];
+            },
+            colorMode: (target, args) => {
+                if (args[0] !== 'rgb' || (args.length > 1 && args[1] !== 255)) throw new Error('only colorMode(RGB) is supported');
+            },
+            frameRate: (target, args) => {
+                if (args.length > 0) doc.fps = Math.max(1, Math.min(Math.round(num(args[0])), 60));
+                return doc.fps;
+            },
+            loadImage: (target, args) => {
+                const image = images.get(args[0]);
+                if (!image) throw new Error('only images embedded as data URLs can be loaded');
+                return { kind: 'image', image };
+            },
+            // The font file isn't part of the code: text keeps the family, taken from the
+            // file name the way uploadFont() names files, until the font is uploaded again
+            loadFont: (target, args, node) => {
+                const file = String(args[0]);
+                const family = file.startsWith('data:') ? 'sans-serif'
+                    : file.split('/').pop().replace(FONT_FILE_TYPES, '').replace(/_/g, ' ');
+                warn(node.line, `the font of loadFont() isn't imported, upload it with the text tool`);
+                return { kind: 'font', family: family || 'sans-serif' };
+            },
+            textFont: (target, args) => {
+                const font = args[0];
+                if (typeof font === 'string' && font !== '') target.style.font = font;
+                else if (font && font.kind === 'font') target.style.font = font.family;
+                else throw new Error('textFont() needs a font name or a loadFont() font');
+                if (args.length > 1) target.style.textSize = num(args[1]);
+            },
+            textSize: (target, args) => {
+                target.style.textSize = num(args[0]);
+            },
+            textAlign: (target, args, node) => {
+                if (!TEXT_ALIGNS.includes(args[0])) throw new Error('textAlign() needs LEFT, CENTER or RIGHT');
+                if (args[1] !== undefined && args[1] !== 'alphabetic') warn(node.line, 'the vertical alignment of textAlign() is imported as BASELINE');
+                target.style.textAlign = args[0];
+            },
+            textStyle: (target, args) => {
+                if (!TEXT_STYLES.includes(args[0])) throw new Error('textStyle() needs NORMAL, BOLD, ITALIC or BOLDITALIC');
+                target.style.textStyle = args[0];
+            },
+            text: (target, args, node) => {
+                const { fill, erasing, font, textSize, textAlign, textStyle } = target.style;
+                if (erasing) throw new Error('erase() only works on lines, curves and pixel art cells here');
+                if (args.length > 3) warn(node.line, 'text() in a box is imported without wrapping');
+                if (!fill) return;
+                const [x, y] = mapPoint(target, num(args[1]), num(args[2]));
+                addItem(target, {
+                    type: 'text',
+                    text: String(args[0]),
+                    x,
+                    y,
+                    font,
+                    size: mapSize(target, textSize),
+                    align: textAlign,
+                    style: textStyle,
+                    color: colorHex(fill)
+                }, fill.a);
+            },
+            color: (target, args) => ({ kind: 'color', ...sketchColor(args) }),
+            red: (target, args) => sketchColor(args).r,
+            green: (target, args) => sketchColor(args).g,
+            blue: (target, args) => sketchColor(args).b,
+            alpha: (target, args) => sketchColor(args).a
+        };
+        // Settings that don't change the picture
+        ['smooth', 'noSmooth', 'pixelDensity', 'noLoop', 'loop', 'angleMode', 'randomSeed', 'noiseSeed',
+            'describe', 'cursor', 'noCursor', 'resizeCanvas'].forEach(name => drawing[name] = () => {});
+
+        // Maths, plain functions that p5 and Math share
+        const maths = {
+            abs: Math.abs, ceil: Math.ceil, floor: Math.floor, round: Math.round, sqrt: Math.sqrt,
+            pow: Math.pow, min: Math.min, max: Math.max, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+            atan2: Math.atan2, exp: Math.exp, log: Math.log, hypot: Math.hypot, sign: Math.sign, trunc: Math.trunc,
+            sq: (n) => n * n,
+            int: (n) => Math.trunc(Number(n)),
+            radians: (deg) => deg * Math.PI / 180,
+            degrees: (rad) => rad * 180 / Math.PI,
+            dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+            lerp: (a, b, t) => a + (b - a) * t,
+            map: (n, a, b, c, d) => c + (n - a) / (b - a) * (d - c),
+            constrain: (n, low, high) => Math.max(low, Math.min(n, high)),
+            random: (a, b) => {
+                if (Array.isArray(a)) return a[Math.floor(Math.random() * a.length)];
+                if (a === undefined) return Math.random();
+                return b === undefined ? Math.random() * a : a + Math.random() * (b - a);
+            }
+        };
+        const mathObject = { kind: 'object', props: new Map(Object.keys(maths).map(name => [name, { kind: 'builtin', name }])) };
+        mathObject.props.set('PI', Math.PI);
+
+        const builtin = (name, target) => ({ kind: 'builtin', name, target });
+        const undefinedName = (name) => new Error(`${name} is not defined`);
+
+        // Names that aren't variables: p5 functions and variables, constants, Math
+        function globalValue(name, target = main) {
+            if (Object.hasOwn(SKETCH_CONSTANTS, name)) return SKETCH_CONSTANTS[name];
+            if (Object.hasOwn(drawing, name) || Object.hasOwn(maths, name)) return builtin(name, target);
+            if (name === 'width') return target.width;
+            if (name === 'height') return target.height;
+            if (name === 'windowWidth') return CONFIG.width;
+            if (name === 'windowHeight') return CONFIG.height;
+            if (name === 'frameCount') return frameCount;
+            if (name === 'Math') return mathObject;
+            throw undefinedName(name);
         }
 
-        draw(e);
-    }
+        // --- Scopes and values ---
+        const globalScope = { vars: new Map(), parent: null };
+        const childScope = (parent) => ({ vars: new Map(), parent });
 
-    function draw(e) {
-        if (!state.isDrawing) return;
-        e.preventDefault();
+        function lookup(scope, name) {
+            for (let s = scope; s; s = s.parent) {
+                if (s.vars.has(name)) return s.vars.get(name);
+            }
+            return globalValue(name);
+        }
 
-        const ctx = getActiveCtx();
-        if (!ctx) return;
+        function assign(scope, name, value) {
+            let s = scope;
+            while (s && !s.vars.has(name)) s = s.parent;
+            (s || globalScope).vars.set(name, value); // Undeclared names become globals, like in a sketch
+            nameBuffer(name, value);
+        }
 
-        const { x, y } = getPos(e);
+        // A buffer gets its layer name from its variable: layer_Sky -> Sky
+        function nameBuffer(name, value) {
+            if (value && value.kind === 'graphics' && !value.target.name) {
+                value.target.name = name.replace(/^layer_/, '').replace(/_/g, ' ') || name;
+            }
+        }
 
-        ctx.beginPath();
+        function getMember(object, key) {
+            if (Array.isArray(object)) {
+                if (key === 'length') return object.length;
+                if (key === 'push') return { kind: 'push', array: object };
+                return object[Number.isInteger(key) ? key : -1];
+            }
+            if (typeof object === 'string' && key === 'length') return object.length;
+            if (object && object.kind === 'object') return object.props.get(String(key));
+            if (object && object.kind === 'p5') {
+                if (object.props.has(key)) return object.props.get(key);
+                return globalValue(key);
+            }
+            if (object && object.kind === 'graphics') {
+                if (Object.hasOwn(drawing, key) && key !== 'createCanvas') return builtin(key, object.target);
+                if (key === 'width' || key === 'height') return object.target[key];
+            }
+            throw new Error(`can't read .${key} of ${describeValue(object)}`);
+        }
 
-        // Dynamic size with pressure?
-        let size = state.size;
-        if (e.pointerType === 'pen' && e.pressure > 0) {
-            // Simple pressure sensitivity: 50% to 150% of size?
-            // Or just 0 to 100%? User might prefer consistent lines if not requested.
-            // User specifically asked for "pen tab support" usually implies pressure, 
-            // BUT the request was "fix screen moving". I'll stick to fixed size for now to avoid surprises, 
-            // OR add a toggle later. Let's keep it simple for now.
+        function setMember(object, key, value) {
+            if (Array.isArray(object) && Number.isInteger(key) && key >= 0 && key <= SKETCH_LOOP_LIMIT) {
+                object[key] = value;
+            } else if (object && (object.kind === 'object' || object.kind === 'p5')) {
+                object.props.set(String(key), value);
+            } else {
+                throw new Error(`can't set .${key} of ${describeValue(object)}`);
+            }
         }
 
-        ctx.lineWidth = size;
-        ctx.lineCap = state.shape === 'square' ? 'square' : 'round';
-        ctx.lineJoin = state.shape === 'square' ? 'miter' : 'round';
+        // --- Statements ---
+        // Function declarations are hoisted. A statement that fails becomes a warning
+        // and the block carries on; a return ends it with { value }.
+        function execBlock(body, scope) {
+            body.forEach(node => {
+                if (node.type === 'function' && node.fn.name) {
+                    scope.vars.set(node.fn.name, { kind: 'function', fn: node.fn, scope });
+                }
+            });
+            for (const node of body) {
+                try {
+                    const result = execStatement(node, scope);
+                    if (result) return result;
+                } catch (err) {
+                    if (err.fatal) throw err;
+                    warn(node.line, `${node.text} (${err.message})`);
+                }
+            }
+            return undefined;
+        }
 
-        if (state.currentTool === 'eraser') {
-            // "Eraser" in layered mode means clearing pixels to transparency
-            ctx.globalCompositeOperation = 'destination-out';
-            ctx.strokeStyle = "rgba(0,0,0,1)";
-        } else {
-            ctx.globalCompositeOperation = 'source-over';
-            ctx.strokeStyle = state.color;
+        function execStatement(node, scope) {
+            step();
+            switch (node.type) {
+            case 'expression':
+                evaluate(node.expression, scope);
+                return undefined;
+            case 'declaration':
+                node.declarations.forEach(({ name, init }) => {
+                    const value = init ? evaluate(init, scope) : undefined;
+                    scope.vars.set(name, value);
+                    nameBuffer(name, value);
+                });
+                return undefined;
+            case 'if':
+                if (evaluate(node.test, scope)) return execStatement(node.then, scope);
+                return node.otherwise ? execStatement(node.otherwise, scope) : undefined;
+            case 'for': {
+                const loopScope = childScope(scope);
+                if (node.init) execStatement(node.init, loopScope);
+                for (let n = 0; !node.test || evaluate(node.test, loopScope); n++) {
+                    if (n >= SKETCH_LOOP_LIMIT) throw new Error('the loop runs too long');
+                    const result = execStatement(node.body, childScope(loopScope));
+                    if (result) return result;
+                    if (node.update) evaluate(node.update, loopScope);
+                }
+                return undefined;
+            }
+            case 'forOf': {
+                const list = evaluate(node.iterable, scope);
+                if (!Array.isArray(list)) throw new Error('for...of needs an array');
+                for (const value of list.slice(0, SKETCH_LOOP_LIMIT)) {
+                    const loopScope = childScope(scope);
+                    loopScope.vars.set(node.name, value);
+                    const result = execStatement(node.body, loopScope);
+                    if (result) return result;
+                }
+                return undefined;
+            }
+            case 'block':
+                return execBlock(node.body, childScope(scope));
+            case 'return':
+                return { value: node.argument ? evaluate(node.argument, scope) : undefined };
+            case 'label':
+                startLabel(node.label);
+                return undefined;
+            case 'skip':
+                throw new Error(`skipped: ${node.reason}`);
+            default: // function (hoisted), empty
+                return undefined;
+            }
         }
 
-        ctx.moveTo(state.lastX, state.lastY);
-        ctx.lineTo(x, y);
-        ctx.stroke();
+        function callFunction(closure, args) {
+            if (++depth > SKETCH_CALL_DEPTH) {
+                depth = 0;
+                fatal('The sketch calls its functions too deeply to import.');
+            }
+            const { fn } = closure;
+            // drawLayer_<name>() of the generated code draws the layer <name>
+            if (fn.name && fn.name.startsWith('drawLayer_')) startLabel(fn.name.slice(10).replace(/_/g, ' '));
+            const scope = childScope(closure.scope);
+            // An error in a default value or the body is skipped as a warning further up,
+            // so the depth has to come back down either way
+            try {
+                fn.params.forEach((param, i) => {
+                    const value = args[i] === undefined && param.fallback ? evaluate(param.fallback, scope) : args[i];
+                    scope.vars.set(param.name, value);
+                });
+                const result = execBlock(fn.body.body, scope);
+                return result ? result.value : undefined;
+            } finally {
+                depth--;
+            }
+        }
 
-        // Reset
-        ctx.globalCompositeOperation = 'source-over';
+        function callValue(callee, args, node, name) {
+            if (callee && callee.kind === 'function') return callFunction(callee, args);
+            if (callee && callee.kind === 'push') return callee.array.push(...args);
+            if (callee && callee.kind === 'builtin') {
+                if (Object.hasOwn(maths, callee.name)) return maths[callee.name](...args);
+                return drawing[callee.name](callee.target, args, node);
+            }
+            throw new Error(name ? `${name}() isn't supported` : `${describeValue(callee)} can't be called`);
+        }
 
-        state.lastX = x;
-        state.lastY = y;
-    }
+        // --- Expressions ---
+        function evaluate(node, scope) {
+            step();
+            switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'name':
+                return lookup(scope, node.name);
+            case 'member':
+                return getMember(evaluate(node.object, scope), memberKey(node, scope));
+            case 'call': {
+                const { callee } = node;
+                let fn;
+                let name = callee.name;
+                if (callee.type === 'member') {
+                    name = callee.property.value;
+                    fn = getMember(evaluate(callee.object, scope), memberKey(callee, scope));
+                } else if (callee.type === 'name') {
+                    try {
+                        fn = lookup(scope, callee.name);
+                    } catch (err) {
+                        throw new Error(`${callee.name}() isn't supported`);
+                    }
+                } else {
+                    fn = evaluate(callee, scope);
+                }
+                const args = node.args.map(arg => evaluate(arg, scope));
+                return callValue(fn, args, node, name);
+            }
+            case 'new': {
+                if (node.callee.name !== 'p5') throw new Error(`new ${node.callee.name}() isn't supported`);
+                // Instance mode: the function gets the sketch as `p`
+                const instance = { kind: 'p5', props: new Map() };
+                instances.push(instance);
+                const fn = node.args.length > 0 ? evaluate(node.args[0], scope) : null;
+                if (fn && fn.kind === 'function') callFunction(fn, [instance]);
+                return instance;
+            }
+            case 'function':
+                return { kind: 'function', fn: node.fn, scope };
+            case 'array':
+                return node.elements.map(element => evaluate(element, scope));
+            case 'object':
+                return {
+                    kind: 'object',
+                    props: new Map(node.properties.map(({ key, value }) => [key, evaluate(value, scope)]))
+                };
+            case 'unary': {
+                const value = evaluate(node.argument, scope);
+                if (node.op === '!') return !value;
+                return node.op === '-' ? -value : +value;
+            }
+            case 'binary':
+                return binaryOperation(node.op, node.left, node.right, scope);
+            case 'conditional':
+                return evaluate(node.test, scope) ? evaluate(node.then, scope) : evaluate(node.otherwise, scope);
+            case 'assign': {
+                const value = node.op === '='
+                    ? evaluate(node.value, scope)
+                    : arithmetic(node.op.slice(0, -1), evaluate(node.target, scope), evaluate(node.value, scope));
+                store(node.target, value, scope);
+                return value;
+            }
+            case 'update': {
+                const before = Number(evaluate(node.target, scope));
+                const after = node.op === '++' ? before + 1 : before - 1;
+                store(node.target, after, scope);
+                return node.prefix ? after : before;
+            }
+            default:
+                throw new Error(`${node.type} isn't supported`);
+            }
+        }
 
-    function stopDrawing() {
-        if (state.isDrawing) {
-            state.isDrawing = false;
-            saveHistoryState(state.activeLayerId);
+        function memberKey(node, scope) {
+            return node.property.type === 'literal' && typeof node.property.value === 'string'
+                ? node.property.value
+                : evaluate(node.property, scope);
         }
-    }
 
-    function getPos(e) {
-        const rect = canvasWrapper.getBoundingClientRect();
-        const scaleX = CONFIG.width / rect.width;
-        const scaleY = CONFIG.height / rect.height;
+        function store(target, value, scope) {
+            if (target.type === 'name') {
+                assign(scope, target.name, value);
+            } else {
+                setMember(evaluate(target.object, scope), memberKey(target, scope), value);
+            }
+        }
 
-        return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
+        function binaryOperation(op, left, right, scope) {
+            const a = evaluate(left, scope);
+            // Short-circuit like JavaScript
+            if (op === '&&') return a && evaluate(right, scope);
+            if (op === '||') return a || evaluate(right, scope);
+            if (op === '??') return a ?? evaluate(right, scope);
+            return arithmetic(op, a, evaluate(right, scope));
+        }
+
+        function arithmetic(op, a, b) {
+            if (typeof a === 'object' && a !== null || typeof b === 'object' && b !== null) {
+                if (op === '===' || op === '==') return a === b;
+                if (op === '!==' || op === '!=') return a !== b;
+                throw new Error(`can't use ${op} on ${describeValue(typeof a === 'object' ? a : b)}`);
+            }
+            switch (op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+            case '%': return a % b;
+            case '**': return a ** b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+            case '==': case '===': return a === b;
+            default: return a !== b; // != and !==
+            }
+        }
+
+        // --- Running it ---
+        execBlock(program.body.filter(node => node.type !== 'label'), globalScope);
+
+        // Global mode functions, or the ones instance mode set on p
+        const instance = instances[0];
+        const entry = (name) => {
+            const value = instance ? instance.props.get(name) : globalScope.vars.get(name);
+            return value && value.kind === 'function' ? value : null;
         };
-    }
+        const run = (closure, args = []) => {
+            try {
+                callFunction(closure, args);
+            } catch (err) {
+                if (err.fatal) throw err;
+                warn(closure.fn.body.line, err.message);
+            }
+        };
+
+        const frames = [];
+        const snapshot = () => frames.push(main.layers.map(layer => ({ ...layer, items: layer.items.slice() })));
+        let setup = entry('setup');
+        let draw = entry('draw');
+        let preload = entry('preload');
+        let args = [];
+        // The ES module: drawArtwork(p) in a host sketch of the size it names
+        const artwork = globalScope.vars.get('drawArtwork');
+        if (!setup && !draw && artwork && artwork.kind === 'function') {
+            const size = code.match(/The artwork is (\d+) x (\d+)/);
+            if (size) drawing.createCanvas(main, [Number(size[1]), Number(size[2])], { args: [] });
+            const host = { kind: 'p5', props: new Map() };
+            args = [host];
+            draw = artwork;
+            const preloadArtwork = globalScope.vars.get('preloadArtwork');
+            preload = preloadArtwork && preloadArtwork.kind === 'function' ? preloadArtwork : null;
+        }
 
-    function updateZoom(newZoom) {
-        // Clamp zoom
-        state.zoom = Math.max(0.1, Math.min(newZoom, 5.0));
-        state.zoom = Math.round(state.zoom * 10) / 10; // Round to 1 decimal
+        if (preload) run(preload, args);
+        if (setup) run(setup);
+        if (draw) {
+            // An animation picks what it draws from `frames` by frameCount
+            let count = 1;
+            try {
+                const list = lookup(draw.scope, 'frames');
+                if (Array.isArray(list) && list.length > 1) count = Math.min(list.length, SKETCH_FRAME_LIMIT);
+            } catch (err) {
+                // No frames, a still picture
+            }
+            for (frameCount = 1; frameCount <= count; frameCount++) {
+                run(draw, args);
+                snapshot();
+            }
+        } else {
+            snapshot();
+        }
 
-        // Apply
-        canvasWrapper.style.width = `${CONFIG.width * state.zoom}px`;
-        canvasWrapper.style.height = `${CONFIG.height * state.zoom}px`;
+        const nothing = frames.every(layers => layers.every(layer => layer.items.length === 0));
+        if (nothing && doc.bgColor === 'transparent') {
+            fatal(warnings.size > 0
+                ? `Nothing could be imported:\n${[...warnings.keys()].slice(0, 10).join('\n')}`
+                : 'Nothing to import: no supported drawing calls were found.');
+        }
 
-        zoomDisplay.textContent = `${Math.round(state.zoom * 100)}%`;
+        return {
+            ...doc,
+            pixelSize,
+            frames,
+            warnings: [...warnings].map(([text, count]) => count > 1 ? `${text} (×${count})` : text)
+        };
     }
 
-    function pickColorGlobal(x, y) {
-        // Need to flatten layers to pick color?
-        // Or just pick from top-most visible non-transparent pixel.
-        // For performance, let's just create a temporary canvas 1x1
-        const tempC = document.createElement('canvas');
-        tempC.width = 1;
-        tempC.height = 1;
-        const tCtx = tempC.getContext('2d');
+    // fill()/stroke()/background()/color() arguments as { r, g, b, a } (RGB colour mode)
+    function sketchColor(args) {
+        const channel = (value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`expected a colour value, got ${describeValue(value)}`);
+            return Math.max(0, Math.min(Math.round(value), 255));
+        };
+        const [first] = args;
+        if (first && first.kind === 'color') return { r: first.r, g: first.g, b: first.b, a: first.a };
+        if (Array.isArray(first)) return sketchColor(first);
+        if (typeof first === 'string') {
+            // CSS colours, as the canvas reads them
+            const ctx = sketchCanvas(1, 1).getContext('2d');
+            ctx.fillStyle = '#010203';
+            ctx.fillStyle = first;
+            if (ctx.fillStyle === '#010203' && first.toLowerCase() !== '#010203') throw new Error(`unknown colour '${first}'`);
+            ctx.fillRect(0, 0, 1, 1);
+            const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+            return { r, g, b, a: args.length > 1 ? channel(args[1]) : a };
+        }
+        if (args.length <= 2) {
+            const gray = channel(first);
+            return { r: gray, g: gray, b: gray, a: args.length === 2 ? channel(args[1]) : 255 };
+        }
+        return { r: channel(args[0]), g: channel(args[1]), b: channel(args[2]), a: args.length > 3 ? channel(args[3]) : 255 };
+    }
 
-        // Draw layers in order
-        state.layers.forEach(l => {
-            if (l.visible) {
-                tCtx.drawImage(l.canvas, x, y, 1, 1, 0, 0, 1, 1);
-            }
-        });
+    function colorHex({ r, g, b }) {
+        return rgbToHex(r, g, b);
+    }
 
-        const data = tCtx.getImageData(0, 0, 1, 1).data;
-        const hex = rgbToHex(data[0], data[1], data[2]);
-        state.color = hex;
-        colorPicker.value = hex;
-        switchToTool('pen');
+    // rectMode()/ellipseMode() constants
+    function boxMode(mode) {
+        if (!['corner', 'corners', 'center', 'radius'].includes(mode)) throw new Error('unknown mode');
+        return mode;
     }
 
-    function rgbToHex(r, g, b) {
-        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    function describeValue(value) {
+        if (value === null || value === undefined) return String(value);
+        if (Array.isArray(value)) return 'an array';
+        if (typeof value === 'object') return value.kind === 'graphics' ? 'a buffer' : `a ${value.kind}`;
+        return typeof value === 'string' ? `'${value}'` : String(value);
     }
 
-    // --- History (Undo) ---
-    // Storing { layerId, imgData }
-    function saveHistoryState(layerId) {
-        const idx = state.layers.findIndex(l => l.id === layerId);
-        if (idx === -1) return;
-        const layer = state.layers[idx];
+    function sketchCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
 
-        // Trim history if we branched
-        if (state.historyStep < state.history.length - 1) {
-            state.history = state.history.slice(0, state.historyStep + 1);
-        }
+    // Layers composited like drawComposite() does, without a background
+    function renderSketchLayers(layers, width, height) {
+        const canvas = sketchCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        layers.forEach(layer => {
+            if (!layer.visible) return;
+            const layerCanvas = sketchCanvas(width, height);
+            const layerCtx = layerCanvas.getContext('2d');
+            layer.items.forEach(item => drawItem(layerCtx, item));
+            drawLayerOnto(ctx, { ...layer, canvas: layerCanvas });
+        });
+        return canvas;
+    }
 
-        state.history.push({
-            layerId: layerId,
-            dataURL: layer.canvas.toDataURL()
+    // runSketch() result -> project file contents (see validateProject)
+    function sketchProject(result) {
+        const { width, height } = result;
+        let nextLayerId = 1;
+        const frames = result.frames.map(layers => {
+            if (layers.length === 0) layers = [{ name: 'Layer 1', visible: true, opacity: 1, blend: 'normal', items: [] }];
+            const saved = layers.map(layer => ({
+                id: nextLayerId++,
+                name: layer.name,
+                visible: layer.visible,
+                opacity: Math.max(0, Math.min(layer.opacity, 1)),
+                blend: layer.blend,
+                data: renderSketchLayers([{ ...layer, opacity: 1, blend: 'normal' }], width, height).toDataURL(),
+                items: serializeItems(layer.items)
+            }));
+            return { activeLayerId: saved[saved.length - 1].id, layers: saved };
         });
+        return {
+            version: PROJECT_VERSION,
+            width,
+            height,
+            windowSized: result.windowSized,
+            pixelSize: result.pixelSize,
+            bgColor: result.bgColor,
+            nextLayerId,
+            fps: result.fps,
+            currentFrame: 0,
+            frames
+        };
+    }
 
-        state.historyStep++;
-        if (state.history.length > state.maxHistory) {
-            state.history.shift();
-            state.historyStep--;
-        }
+    function openCodeImportDialog() {
+        codeImportStatus.textContent = '';
+        codeImportWarnings.innerHTML = '';
+        codeImportModal.classList.remove('hidden');
+        codeImportInput.focus();
     }
 
-    function undo() {
-        if (state.historyStep > 0) {
-            // Current state is at historyStep. We need to go back to previous.
-            // But wait, undo usually means "revert the last action".
-            // The item at 'historyStep' is the STATE AFTER the action.
-            // We need to restore the state BEFORE the action.
-            // Simplified approach: just pop the stack?
-
-            // Actually, better pattern:
-            // 1. Pop current state (it's what we want to undo).
-            // 2. Restore the previous state for that specific layer.
-
-            const actionToUndo = state.history[state.historyStep];
-            state.historyStep--;
-
-            // Find the previous state for THIS layer
-            let prevData = null;
-            // Iterate backwards from current step
-            for (let i = state.historyStep; i >= 0; i--) {
-                if (state.history[i].layerId === actionToUndo.layerId) {
-                    prevData = state.history[i].dataURL;
-                    break;
-                }
-            }
+    // Loads as a new project, one undo step like loading a file.
+    // With warnings the dialog stays open to list what was left out.
+    function confirmCodeImport() {
+        const code = codeImportInput.value;
+        if (!code.trim()) return;
+        commitSelection(); // A floating selection goes down first
+        codeImportStatus.textContent = 'Importing...';
+        codeImportWarnings.innerHTML = '';
 
-            const layer = state.layers.find(l => l.id === actionToUndo.layerId);
-            if (layer) {
-                const img = new Image();
-                if (prevData) {
-                    img.src = prevData;
-                    img.onload = () => {
-                        layer.ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
-                        layer.ctx.drawImage(img, 0, 0);
-                    };
-                } else {
-                    // No previous history for this layer? Clear it?
-                    // Or maybe it was the initial state.
-                    // If it was creation, maybe we should've stored valid initial state.
-                    // In init() we saved state. So there should be something.
+        importSketchCode(code)
+            .then(({ project, warnings }) => restoreProject(project, newProject('Imported sketch')).then(() => warnings))
+            .then(warnings => {
+                if (warnings.length === 0) {
+                    codeImportModal.classList.add('hidden');
+                    return;
                 }
-            }
-        }
+                codeImportStatus.textContent = `読み込みました（Imported）, but ${warnings.length} part(s) were left out:`;
+                warnings.forEach(text => {
+                    const item = document.createElement('li');
+                    item.textContent = text;
+                    codeImportWarnings.appendChild(item);
+                });
+            })
+            .catch(err => {
+                codeImportStatus.textContent = `Failed to import the code.\n${err.message}`;
+                console.error(err);
+            });
     }
 
-    function clearCurrentLayer() {
-        const ctx = getActiveCtx();
-        if (ctx) {
-            ctx.clearRect(0, 0, CONFIG.width, CONFIG.height);
-            // If it's the bottom background layer, maybe fill white again?
-            // Usually bottom layer is just a layer.
-            // But if user wants transparent, clearRect is correct.
-            saveHistoryState(state.activeLayerId);
+    // --- Autosave / Project Library ---
+    // Projects are kept in IndexedDB, in two stores so the list doesn't load every drawing:
+    // - projects:    { id, name, modified, thumbnail }
+    // - projectData: { id, data }, data being what saveProject() downloads
+    // The document autosaves to state.project a moment after every change.
+    const DB_NAME = 'paintcoder';
+    const META_STORE = 'projects';
+    const DATA_STORE = 'projectData';
+    const AUTOSAVE_DELAY = 1500; // ms after the last change
+    const THUMBNAIL_SIZE = 160;
+    let database = null; // Promise of the open IDBDatabase
+
+    function openDatabase() {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(META_STORE, { keyPath: 'id' });
+                    request.result.createObjectStore(DATA_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
+        return database;
     }
 
-    // --- Code Generation ---
-    function generateCode() {
-        const modal = document.getElementById('code-modal');
-        const output = document.getElementById('code-output');
-
-        modal.classList.remove('hidden');
-        output.textContent = "Generating code... Merging layers...";
-
-        setTimeout(() => {
-            const code = processAllLayers();
-            output.textContent = code;
-        }, 100);
+    // Runs fn(metaStore, dataStore) in one transaction. Resolves once it's complete,
+    // with the result of the request fn returns (if any).
+    function dbTransaction(mode, fn) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction([META_STORE, DATA_STORE], mode);
+            const request = fn(tx.objectStore(META_STORE), tx.objectStore(DATA_STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
     }
 
-    function processAllLayers() {
-        // Flatten all visible layers onto a temp canvas
-        const tempC = document.createElement('canvas');
-        tempC.width = CONFIG.width;
-        tempC.height = CONFIG.height;
-        const tCtx = tempC.getContext('2d');
+    // Most recently modified first
+    function listProjects() {
+        return dbTransaction('readonly', meta => meta.getAll())
+            .then(projects => projects.sort((a, b) => b.modified - a.modified));
+    }
 
-        // Fill white base first?
-        tCtx.fillStyle = '#ffffff';
-        tCtx.fillRect(0, 0, CONFIG.width, CONFIG.height);
+    function readProjectData(id) {
+        return dbTransaction('readonly', (meta, data) => data.get(id)).then(entry => entry.data);
+    }
 
-        state.layers.forEach(l => {
-            if (l.visible) {
-                tCtx.drawImage(l.canvas, 0, 0);
-            }
+    function writeProject(entry, data) {
+        return dbTransaction('readwrite', (meta, store) => {
+            meta.put(entry);
+            if (data) store.put({ id: entry.id, data });
         });
+    }
 
-        const imageData = tCtx.getImageData(0, 0, CONFIG.width, CONFIG.height);
-        const data = imageData.data;
+    function removeProject(id) {
+        return dbTransaction('readwrite', (meta, data) => {
+            meta.delete(id);
+            data.delete(id);
+        });
+    }
 
-        let lines = [];
-        lines.push(`function setup() {`);
-        lines.push(`  createCanvas(${CONFIG.width}, ${CONFIG.height});`);
-        lines.push(`}`);
-        lines.push(``);
-        lines.push(`function draw() {`);
-        lines.push(`  background(280);`);
-        lines.push(`  noStroke();`);
-        lines.push(``);
+    // A library entry that doesn't exist until the first autosave
+    function newProject(name) {
+        return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name };
+    }
 
-        let lastR = -1, lastG = -1, lastB = -1;
-        let rects = [];
+    function scheduleAutosave() {
+        if (!state.autosave.enabled) return;
+        clearTimeout(state.autosave.timer);
+        state.autosave.timer = setTimeout(autosave, AUTOSAVE_DELAY);
+    }
 
-        for (let y = 0; y < CONFIG.height; y++) {
-            for (let x = 0; x < CONFIG.width; x++) {
-                const i = (y * CONFIG.width + x) * 4;
-                const r = data[i];
-                const g = data[i + 1];
-                const b = data[i + 2];
+    function cancelAutosave() {
+        clearTimeout(state.autosave.timer);
+        state.autosave.timer = null;
+    }
 
-                // Assuming white background check
-                if (r < 250 || g < 250 || b < 250) {
-                    if (r !== lastR || g !== lastG || b !== lastB) {
-                        rects.push(`  fill(${r}, ${g}, ${b});`);
-                        lastR = r;
-                        lastG = g;
-                        lastB = b;
-                    }
-                    rects.push(`  rect(${x}, ${y}, 1);`);
-                }
-            }
+    function autosave() {
+        cancelAutosave();
+        // Not halfway through a stroke or while pixels float; the layers aren't final yet
+        if (state.isDrawing || (state.selection && state.selection.floating)) {
+            scheduleAutosave();
+            return;
         }
 
-        lines = lines.concat(rects);
-        lines.push(`}`);
+        const { id, name } = state.project;
+        const entry = { id, name, modified: Date.now(), thumbnail: projectThumbnail() };
+        writeProject(entry, serializeProject()).then(() => {
+            state.autosave.saved = entry.modified;
+            showAutosaveStatus();
+            if (!projectsModal.classList.contains('hidden')) renderProjectList();
+        }).catch(err => {
+            autosaveStatus.textContent = '自動保存に失敗しました（Autosave failed）';
+            console.error(err);
+        });
+    }
 
-        return lines.join('\n');
+    function showAutosaveStatus() {
+        autosaveStatus.textContent = state.autosave.saved
+            ? `自動保存（Autosaved）: ${new Date(state.autosave.saved).toLocaleTimeString()}`
+            : '';
     }
 
-    function copyCode() {
-        const output = document.getElementById('code-output');
-        navigator.clipboard.writeText(output.textContent).then(() => {
-            const btn = document.getElementById('btn-copy');
-            const originalText = btn.innerHTML;
-            btn.innerHTML = '<i class="fa-solid fa-check"></i> きょぴぃぃぃぃぃ';
-            setTimeout(() => {
-                btn.innerHTML = originalText;
-            }, 2000);
-        });
+    // The current frame with its background, scaled down to fit THUMBNAIL_SIZE
+    function projectThumbnail() {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(CONFIG.width, CONFIG.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(CONFIG.width * scale));
+        canvas.height = Math.max(1, Math.round(CONFIG.height * scale));
+        canvas.getContext('2d').drawImage(flattenToCanvas(true), 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/png');
     }
 
-    // --- Save / Load System ---
-    function saveProject() {
-        const projectData = {
-            version: 1,
-            width: CONFIG.width,
-            height: CONFIG.height,
-            nextLayerId: state.nextLayerId,
-            layers: state.layers.map(l => ({
-                id: l.id,
-                name: l.name,
-                visible: l.visible,
-                data: l.canvas.toDataURL()
-            }))
-        };
+    // On startup: offer the most recent project, e.g. after a refresh or a crash
+    function offerRestore() {
+        listProjects().then(projects => {
+            const last = projects[0];
+            if (!last) return;
+            restoreMessage.textContent = `前回の作業「${last.name}」（${new Date(last.modified).toLocaleString()}）を復元しますか？`;
+            btnRestore.onclick = () => openProject(last);
+            restoreBanner.classList.remove('hidden');
+        }).catch(err => console.error(err));
+    }
 
-        const blob = new Blob([JSON.stringify(projectData)], { type: "application/json" });
-        const link = document.createElement("a");
-        link.href = URL.createObjectURL(blob);
-        link.download = `paint_project_${new Date().toISOString().slice(0, 10)}.json`;
-        link.click();
+    function openProject(entry) {
+        commitSelection(); // A floating selection goes down first
+        readProjectData(entry.id).then(data => {
+            projectsModal.classList.add('hidden');
+            restoreBanner.classList.add('hidden');
+            return restoreProject(data, { id: entry.id, name: entry.name }, true);
+        }).catch(err => {
+            alert(`Failed to open project.\n${err.message}`);
+            console.error(err);
+        });
     }
 
-    function loadProject(e) {
-        const file = e.target.files[0];
-        if (!file) return;
+    function openProjectsDialog() {
+        projectsModal.classList.remove('hidden');
+        showAutosaveStatus();
+        renderProjectList();
+    }
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const project = JSON.parse(event.target.result);
-                restoreProject(project);
-            } catch (err) {
-                alert("Failed to load project file.");
-                console.error(err);
+    function renderProjectList() {
+        listProjects().then(projects => {
+            projectsList.innerHTML = '';
+            if (projects.length === 0) {
+                projectsList.textContent = 'まだプロジェクトはありません。描くと自動で保存されます（Nothing saved yet, drawing saves automatically）';
+                return;
             }
-        };
-        reader.readAsText(file);
-        // Reset input
-        e.target.value = '';
+            projects.forEach(entry => projectsList.appendChild(projectCard(entry)));
+        }).catch(err => {
+            projectsList.textContent = 'プロジェクトを読み込めませんでした（IndexedDB is not available）';
+            console.error(err);
+        });
     }
 
-    function restoreProject(project) {
-        // Clear all existing layers
-        state.layers.forEach(l => l.canvas.remove());
-        state.layers = [];
-        layersList.innerHTML = '';
-        state.nextLayerId = project.nextLayerId || 1;
+    function projectCard(entry) {
+        const el = document.createElement('div');
+        el.className = `project-card ${entry.id === state.project.id ? 'active' : ''}`;
 
-        // Restore layers
-        // We need to process sequentially because Image loading is async
-        let loadedCount = 0;
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'project-thumbnail';
+        thumbnail.src = entry.thumbnail;
+        thumbnail.title = '開く（Open）';
+        thumbnail.onclick = () => openProject(entry);
 
-        project.layers.forEach(lData => {
-            const canvas = document.createElement('canvas');
-            canvas.width = CONFIG.width;
-            canvas.height = CONFIG.height;
-            canvas.id = `layer-${lData.id}`;
-            canvas.style.zIndex = lData.id;
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'project-name';
+        nameSpan.textContent = entry.name;
+        nameSpan.title = entry.name;
+        nameSpan.ondblclick = () => startRenameProject(entry, nameSpan);
 
-            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const date = document.createElement('span');
+        date.className = 'project-date';
+        date.textContent = new Date(entry.modified).toLocaleString();
 
-            const layerObj = {
-                id: lData.id,
-                canvas,
-                ctx,
-                visible: lData.visible,
-                name: lData.name
-            };
+        const actions = document.createElement('div');
+        actions.className = 'layer-actions';
+        [
+            ['fa-solid fa-folder-open', 'Open', () => openProject(entry)],
+            ['fa-solid fa-pen', 'Rename', () => startRenameProject(entry, nameSpan)],
+            ['fa-regular fa-clone', 'Duplicate', () => duplicateProject(entry)],
+            ['fa-solid fa-trash', 'Delete', () => deleteProject(entry)]
+        ].forEach(([icon, title, action]) => {
+            const btn = document.createElement('button');
+            btn.className = 'icon-btn';
+            btn.title = title;
+            btn.innerHTML = `<i class="${icon}"></i>`;
+            btn.onclick = action;
+            actions.appendChild(btn);
+        });
 
-            if (!lData.visible) {
-                canvas.style.display = 'none';
+        el.appendChild(thumbnail);
+        el.appendChild(nameSpan);
+        el.appendChild(date);
+        el.appendChild(actions);
+        return el;
+    }
+
+    function startRenameProject(entry, nameSpan) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'project-name-input';
+        input.value = entry.name;
+
+        let done = false;
+        const finish = (apply) => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            if (apply && name && name !== entry.name) {
+                renameProject(entry, name);
+            } else {
+                renderProjectList();
             }
+        };
+        input.onkeydown = (e) => {
+            e.stopPropagation(); // Keep tool shortcuts out of the text field
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        };
+        input.onblur = () => finish(true);
 
-            canvasWrapper.appendChild(canvas);
-            state.layers.push(layerObj);
+        nameSpan.replaceWith(input);
+        input.focus();
+        input.select();
+    }
 
-            // Load Image
-            const img = new Image();
-            img.src = lData.data;
-            img.onload = () => {
-                ctx.drawImage(img, 0, 0);
-                loadedCount++;
-                if (loadedCount === project.layers.length) {
-                    // All loaded
-                    // Sort layers by ID or render list based on saved order?
-                    // The save logic saved them in order (Background 0 -> Top).
-                    // Correct implementation should respect zIndex behavior.
-                    renderLayerList();
-                    // Set active to last layer
-                    if (state.layers.length > 0) {
-                        setActiveLayer(state.layers[state.layers.length - 1].id);
-                    }
-                }
-            };
-        });
+    // Only the list entry changes; the drawing stays as it is
+    function renameProject(entry, name) {
+        if (entry.id === state.project.id) state.project.name = name;
+        writeProject({ ...entry, name }).then(renderProjectList).catch(err => console.error(err));
+    }
+
+    function duplicateProject(entry) {
+        const copy = { ...entry, ...newProject(`${entry.name} copy`), modified: Date.now() };
+        readProjectData(entry.id)
+            .then(data => writeProject(copy, data))
+            .then(renderProjectList)
+            .catch(err => console.error(err));
+    }
+
+    function deleteProject(entry) {
+        if (!confirm(`「${entry.name}」を削除しますか？（Delete this project?）`)) return;
+        removeProject(entry.id).then(() => {
+            // The open document carries on as a new project
+            if (entry.id === state.project.id) state.project = newProject(state.project.name);
+            renderProjectList();
+        }).catch(err => console.error(err));
+    }
+
+    function cloneCanvas(source) {
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        return canvas;
     }
 
     init();